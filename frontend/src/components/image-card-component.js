@@ -9,6 +9,9 @@
  * - image-url: The URL of the image to display
  * - alias: The alias/name for the image
  * - created: The creation date (ISO format)
+ * - tags: Optional comma-separated tags, shown as buttons (class tag-btn, data-tag)
+ * - description: Optional free-text description
+ * - alt-text: Optional alternative text for the image (defaults to the alias)
  * - placeholder: Optional placeholder image URL
  * 
  * Usage:
@@ -17,6 +20,8 @@
  *   image-url="https://example.com/image.jpg"
  *   alias="MyImage"
  *   created="2024-12-01T00:00:00.000Z"
+ *   tags="nature,sky"
+ *   alt-text="Sunset over the sea"
  * ></image-card>
  */
 class ImageCard extends HTMLElement {
@@ -26,7 +31,7 @@ class ImageCard extends HTMLElement {
   }
 
   static get observedAttributes() {
-    return ['image-id', 'image-url', 'alias', 'created', 'placeholder'];
+    return ['image-id', 'image-url', 'alias', 'created', 'tags', 'description', 'alt-text', 'placeholder'];
   }
 
   connectedCallback() {
@@ -55,6 +60,18 @@ class ImageCard extends HTMLElement {
     return this.getAttribute('created') || '';
   }
 
+  get tags() {
+    return (this.getAttribute('tags') || '').split(',').filter(tag => tag);
+  }
+
+  get description() {
+    return this.getAttribute('description') || '';
+  }
+
+  get altText() {
+    return this.getAttribute('alt-text') || this.alias;
+  }
+
   get placeholder() {
     return this.getAttribute('placeholder') || 
       "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'%3E%3Crect fill='%23f0f0f0' width='100' height='100'/%3E%3Ctext x='50' y='55' text-anchor='middle' font-size='40'%3E🖼️%3C/text%3E%3C/svg%3E";
@@ -66,6 +83,11 @@ class ImageCard extends HTMLElement {
     return div.innerHTML;
   }
 
+  // innerHTML doesn't escape quotes, which matters inside attribute values
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
   formatDate(dateString) {
     if (!dateString) return 'N/A';
     try {
@@ -76,9 +98,19 @@ class ImageCard extends HTMLElement {
   }
 
   render() {
-    const imageUrl = this.imageUrl ? `${this.imageUrl}?size=medium` : this.placeholder;
+    const imageUrl = this.imageUrl || this.placeholder;
     const alias = this.escapeHtml(this.alias);
+    const altText = this.escapeAttribute(this.altText);
     const formattedDate = this.formatDate(this.created);
+    const description = this.description
+      ? `<p class="description">${this.escapeHtml(this.description)}</p>`
+      : '';
+    const tags = this.tags.length
+      ? `<div class="tags">${this.tags.map(tag => {
+          const safeTag = this.escapeAttribute(tag);
+          return `<button class="tag-btn" data-tag="${safeTag}" title="Filtrar por ${safeTag}">#${safeTag}</button>`;
+        }).join('')}</div>`
+      : '';
 
     this.shadowRoot.innerHTML = `
       <style>
@@ -122,6 +154,38 @@ class ImageCard extends HTMLElement {
           word-break: break-word;
         }
 
+        .description {
+          margin: 0 0 0.5rem 0;
+          font-size: 0.9rem;
+          color: #555;
+          display: -webkit-box;
+          -webkit-line-clamp: 3;
+          -webkit-box-orient: vertical;
+          overflow: hidden;
+        }
+
+        .tags {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.35rem;
+          margin-bottom: 0.5rem;
+        }
+
+        .tag-btn {
+          padding: 0.2rem 0.6rem;
+          font-size: 0.8rem;
+          border: none;
+          border-radius: 999px;
+          background: #e8eaff;
+          color: #4c5bd4;
+          cursor: pointer;
+          font-family: inherit;
+        }
+
+        .tag-btn:hover {
+          background: #d5d9ff;
+        }
+
         .meta {
           font-size: 0.85rem;
           color: #666;
@@ -171,11 +235,13 @@ class ImageCard extends HTMLElement {
         <div class="image-container">
           <img 
             src="${imageUrl}" 
-            alt="${alias}"
+            alt="${altText}"
             class="card-image"
           />
         </div>
         <h4>${alias}</h4>
+        ${description}
+        ${tags}
         <div class="meta">
           ID: ${this.escapeHtml(this.imageId)}<br>
           Creado: ${formattedDate}
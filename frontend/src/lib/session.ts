@@ -0,0 +1,132 @@
+/**
+ * Session helpers shared by the pages.
+ *
+ * The API issues a short-lived access token and a rotating refresh token.
+ * authFetch sends the access token and, when the API answers 401, refreshes
+ * the session once and retries the request.
+ */
+
+const API_URL = import.meta.env.PUBLIC_API_URL || 'http://localhost:3000';
+
+interface SessionData {
+  token: string;
+  refreshToken: string;
+  user?: unknown;
+}
+
+export function saveSession(data: SessionData) {
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  if (data.user) {
+    localStorage.setItem('user', JSON.stringify(data.user));
+  }
+}
+
+export function clearSession() {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+}
+
+export function hasSession() {
+  return Boolean(localStorage.getItem('token') && localStorage.getItem('user'));
+}
+
+// Fallback lock for insecure contexts (plain HTTP on a LAN address), where
+// navigator.locks is undefined: refreshes are chained on a promise, which
+// serializes them within this tab only.
+let refreshQueue: Promise<unknown> = Promise.resolve();
+
+async function withRefreshLock(callback: () => Promise<boolean>): Promise<boolean> {
+  if (navigator.locks) {
+    return navigator.locks.request('session-refresh', callback);
+  }
+
+  const result = refreshQueue.then(callback);
+  refreshQueue = result.catch(() => {});
+  return result;
+}
+
+// Refresh tokens are single-use, so concurrent refreshes (several requests or
+// several tabs) are serialized with a lock. If another caller already rotated
+// the tokens while we waited, the new access token is simply reused.
+async function refreshSession(staleToken: string | null): Promise<boolean> {
+  return withRefreshLock(async () => {
+    if (localStorage.getItem('token') !== staleToken) {
+      return Boolean(localStorage.getItem('token'));
+    }
+
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (!response.ok) {
+        clearSession();
+        return false;
+      }
+
+      saveSession(await response.json());
+      return true;
+    } catch (error) {
+      console.error('Error refreshing session:', error);
+      return false;
+    }
+  });
+}
+
+/**
+ * fetch() with the Authorization header. Returns the final response; if the
+ * session can't be refreshed, the 401 response is returned as is.
+ */
+export async function authFetch(url: string, options: RequestInit = {}) {
+  const send = (token: string | null) => fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  const token = localStorage.getItem('token');
+  const response = await send(token);
+
+  if (response.status === 401 && await refreshSession(token)) {
+    return send(localStorage.getItem('token'));
+  }
+
+  return response;
+}
+
+/**
+ * Whether a user returned by the API (login, refresh, /api/auth/me) has a
+ * permission. '*' grants every permission.
+ */
+export function can(user: { permissions?: string[] } | null, permission: string) {
+  const permissions = user?.permissions || [];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+/**
+ * Revokes the current session (or every session of the user) and goes back
+ * to the login page.
+ */
+export async function logout({ allDevices = false } = {}) {
+  try {
+    await authFetch(`${API_URL}/api/auth/${allDevices ? 'logout-all' : 'logout'}`, {
+      method: 'POST'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+  }
+
+  clearSession();
+  window.location.href = '/';
+}
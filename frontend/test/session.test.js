@@ -0,0 +1,84 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import ts from 'typescript';
+
+// session.ts is compiled with the project's TypeScript and loaded as a data:
+// module; import.meta.env is what Astro would provide at build time.
+const loadSession = async () => {
+  const source = await readFile(new URL('../src/lib/session.ts', import.meta.url), 'utf8');
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { module: ts.ModuleKind.ES2022, target: ts.ScriptTarget.ES2022 }
+  });
+  const code = `import.meta.env = { PUBLIC_API_URL: 'http://api.test' };\n${outputText}`;
+  return import(`data:text/javascript,${encodeURIComponent(code)}`);
+};
+
+const storage = new Map();
+const localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+
+let refreshCalls = 0;
+
+// API stub: only the rotated access token is accepted; refreshing takes a
+// moment so that concurrent 401s overlap
+const fetchStub = async (url, options = {}) => {
+  if (url.endsWith('/api/auth/refresh')) {
+    refreshCalls++;
+    await new Promise(resolve => setTimeout(resolve, 10));
+    return Response.json({ token: `token-${refreshCalls}`, refreshToken: `refresh-${refreshCalls}` });
+  }
+
+  const authorized = options.headers?.Authorization === 'Bearer token-1';
+  return new Response(null, { status: authorized ? 200 : 401 });
+};
+
+const setGlobal = (name, value) => {
+  Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+};
+
+beforeEach(() => {
+  storage.clear();
+  storage.set('token', 'expired');
+  storage.set('refreshToken', 'refresh-0');
+  refreshCalls = 0;
+  setGlobal('localStorage', localStorage);
+  setGlobal('fetch', fetchStub);
+});
+
+test('without navigator.locks, concurrent 401s share a single refresh', async () => {
+  // Insecure contexts (plain HTTP on a LAN address) have no navigator.locks
+  setGlobal('navigator', {});
+  const { authFetch } = await loadSession();
+
+  const responses = await Promise.all([
+    authFetch('http://api.test/api/auth/me'),
+    authFetch('http://api.test/api/users'),
+    authFetch('http://api.test/api/admin/images')
+  ]);
+
+  assert.deepEqual(responses.map(response => response.status), [200, 200, 200]);
+  assert.equal(refreshCalls, 1);
+  assert.equal(storage.get('token'), 'token-1');
+});
+
+test('navigator.locks is used when available', async () => {
+  const requested = [];
+  setGlobal('navigator', {
+    locks: {
+      request: (name, callback) => {
+        requested.push(name);
+        return callback();
+      }
+    }
+  });
+  const { authFetch } = await loadSession();
+
+  const response = await authFetch('http://api.test/api/auth/me');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(requested, ['session-refresh']);
+});
@@ -0,0 +1,148 @@
+import { filterValue, allOf, anyOf } from './pocketbase-filter.js';
+import { parsePagination, parseSort } from './list-query.js';
+
+// Álbumes de imágenes de administración. Cada álbum guarda sus imágenes en
+// una relación múltiple `images` de PocketBase: el orden de la lista es el
+// orden del álbum y una imagen puede estar en varios álbumes. Las imágenes
+// en la papelera siguen en la lista pero no se muestran.
+
+export const MAX_ALBUM_IMAGES = 500;
+export const DEFAULT_PER_PAGE = 20;
+export const MAX_PER_PAGE = 100;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_QUERY_LENGTH = 100;
+
+const SORT_FIELDS = ['name', 'created', 'updated'];
+
+export const DEFAULT_SORT = 'name';
+
+const badRequest = (message, code) => {
+  const error = new Error(message);
+  error.status = 400;
+  if (code) error.code = code;
+  return error;
+};
+
+const parseBoolean = (value, name) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw badRequest(`El campo ${name} debe ser true o false`);
+};
+
+/**
+ * Lee name, description y public del cuerpo de una creación (name
+ * obligatorio) o edición (partial: solo los campos presentes). Lanza errores
+ * con status 400.
+ */
+export const parseAlbumFields = (body = {}, { partial = false } = {}) => {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      throw badRequest('El campo name es requerido');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw badRequest(`El campo name no puede tener más de ${MAX_NAME_LENGTH} caracteres`);
+    }
+    fields.name = name;
+  }
+
+  if (body.description !== undefined) {
+    const description = String(body.description ?? '').trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw badRequest(`El campo description no puede tener más de ${MAX_DESCRIPTION_LENGTH} caracteres`);
+    }
+    fields.description = description;
+  }
+
+  if (body.public !== undefined) {
+    fields.public = parseBoolean(body.public, 'public');
+  }
+
+  return fields;
+};
+
+/**
+ * Valida una lista de ids de imagen (sin repetidos, como mucho
+ * MAX_ALBUM_IMAGES). Lanza errores con status 400.
+ */
+export const parseImageIds = (value, name = 'imageIds') => {
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || !/^[a-zA-Z0-9]{1,50}$/.test(id))) {
+    throw badRequest(`El campo ${name} debe ser una lista de ids de imagen`);
+  }
+
+  const ids = [...new Set(value)];
+  if (ids.length > MAX_ALBUM_IMAGES) {
+    throw badRequest(`Un álbum no puede tener más de ${MAX_ALBUM_IMAGES} imágenes`, 'album_full');
+  }
+  return ids;
+};
+
+/**
+ * Inserta ids en la lista de un álbum en position (al final si no se
+ * indica), sin duplicar las que ya están. Lanza un error con status 400 y
+ * code album_full si se supera MAX_ALBUM_IMAGES.
+ */
+export const insertImages = (current, ids, position = current.length) => {
+  if (!Number.isInteger(position) || position < 0) {
+    throw badRequest('El campo position debe ser un entero mayor o igual que 0');
+  }
+
+  const added = ids.filter(id => !current.includes(id));
+  const images = [...current];
+  images.splice(Math.min(position, images.length), 0, ...added);
+
+  if (images.length > MAX_ALBUM_IMAGES) {
+    throw badRequest(`Un álbum no puede tener más de ${MAX_ALBUM_IMAGES} imágenes`, 'album_full');
+  }
+  return images;
+};
+
+/**
+ * Lista completa de un álbum tras editar su parte visible: images es la
+ * nueva lista visible y visible la anterior. Las imágenes de current que no
+ * se veían (en la papelera) se conservan al final, para que vuelvan al
+ * álbum si se restauran. Lanza un error con status 400 y code album_full si
+ * se supera MAX_ALBUM_IMAGES.
+ */
+export const withHiddenImages = (images, current, visible) => {
+  const hidden = current.filter(id => !visible.includes(id) && !images.includes(id));
+  const all = [...images, ...hidden];
+
+  if (all.length > MAX_ALBUM_IMAGES) {
+    throw badRequest(`Un álbum no puede tener más de ${MAX_ALBUM_IMAGES} imágenes`, 'album_full');
+  }
+  return all;
+};
+
+/**
+ * Traduce la query de GET /api/admin/albums a { page, perPage, filter, sort }
+ * para getList(). q busca en nombre y descripción; public=true|false filtra
+ * por visibilidad. Lanza errores con status 400.
+ */
+export const parseAlbumListQuery = (query = {}) => {
+  const { page, perPage } = parsePagination(query, {
+    defaultPerPage: DEFAULT_PER_PAGE,
+    maxPerPage: MAX_PER_PAGE
+  });
+
+  const sort = parseSort(query.sort, SORT_FIELDS, DEFAULT_SORT);
+  const conditions = [];
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    if (q.length > MAX_QUERY_LENGTH) {
+      throw badRequest(`q no puede tener más de ${MAX_QUERY_LENGTH} caracteres`);
+    }
+    conditions.push(anyOf([`name ~ ${filterValue(q)}`, `description ~ ${filterValue(q)}`]));
+  }
+
+  if (query.public !== undefined && query.public !== '') {
+    conditions.push(`public = ${parseBoolean(query.public, 'public')}`);
+  }
+
+  return { page, perPage, sort, filter: conditions.length ? allOf(conditions) : '' };
+};
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import { isKnownPermission, hasPermission } from './permissions.js';
+
+// API keys para servicios: "ak_<id>.<secreto>", donde id es el registro de la
+// colección api_keys. Solo se guarda el hash del secreto; la clave completa se
+// muestra una única vez, al crearla.
+
+const KEY_PREFIX = 'ak_';
+
+// Resolución de lastUsed: no se escribe en PocketBase en cada petición
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const unauthorized = (message, code) => {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = code;
+  return error;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const parseDate = (value) => new Date(String(value).replace(' ', 'T'));
+
+/**
+ * Genera el secreto de una API key nueva y el hash que se guarda en PocketBase.
+ */
+export const createApiKeySecret = () => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { secret, hash: hashSecret(secret) };
+};
+
+export const formatApiKey = (keyId, secret) => `${KEY_PREFIX}${keyId}.${secret}`;
+
+// Parte visible de una clave, para identificarla en listados
+export const apiKeyPrefix = (keyId) => `${KEY_PREFIX}${keyId}`;
+
+/**
+ * Separa una API key en { keyId, hash } o devuelve null si no tiene el formato.
+ */
+export const parseApiKey = (apiKey) => {
+  const value = String(apiKey || '');
+  if (!value.startsWith(KEY_PREFIX)) return null;
+
+  const [keyId, secret, ...rest] = value.slice(KEY_PREFIX.length).split('.');
+  if (!keyId || !secret || rest.length) return null;
+  return { keyId, hash: hashSecret(secret) };
+};
+
+/**
+ * Valida name, permissions y expires del cuerpo de una petición de creación
+ * (o de actualización, con partial: true) y devuelve los datos a guardar.
+ * Solo se pueden conceder permisos del catálogo que tenga quien crea la
+ * clave (grantorPermissions). Lanza errores con status 400.
+ */
+export const parseApiKeyInput = (body = {}, { grantorPermissions, partial = false }) => {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      throw badRequest('El nombre de la API key es requerido');
+    }
+    data.name = body.name.trim();
+  }
+
+  if (!partial || body.permissions !== undefined) {
+    const { permissions } = body;
+    if (!Array.isArray(permissions) || !permissions.length || permissions.some(p => typeof p !== 'string')) {
+      throw badRequest('permissions debe ser una lista de permisos');
+    }
+
+    const unknown = permissions.filter(permission => !isKnownPermission(permission));
+    if (unknown.length) {
+      throw badRequest(`Permisos desconocidos: ${unknown.join(', ')}`);
+    }
+
+    // Las claves no gestionan claves: esas rutas exigen sesión de usuario
+    if (permissions.includes('api-keys:manage')) {
+      throw badRequest('api-keys:manage no puede concederse a una API key');
+    }
+
+    const denied = permissions.filter(permission => !hasPermission(grantorPermissions, permission));
+    if (denied.length) {
+      throw badRequest(`No puedes conceder permisos que no tienes: ${denied.join(', ')}`);
+    }
+
+    data.permissions = [...new Set(permissions)];
+  }
+
+  // Opcional también al crear; null o '' quitan la caducidad
+  if (body.expires !== undefined) {
+    if (body.expires === null || body.expires === '') {
+      data.expires = '';
+    } else {
+      const expires = new Date(body.expires);
+      if (isNaN(expires)) {
+        throw badRequest('expires debe ser una fecha válida');
+      }
+      if (expires <= new Date()) {
+        throw badRequest('expires debe ser una fecha futura');
+      }
+      data.expires = expires.toISOString();
+    }
+  }
+
+  return data;
+};
+
+export const isApiKeyExpired = (key) => Boolean(key.expires) && parseDate(key.expires) <= new Date();
+
+/**
+ * Busca y valida una API key con un cliente de la cuenta de servicio y
+ * devuelve su registro. Lanza un error con status 401 y code invalid_api_key
+ * o api_key_expired. Actualiza lastUsed sin esperar a PocketBase.
+ */
+export const verifyApiKey = async (pb, apiKey) => {
+  const parsed = parseApiKey(apiKey);
+  if (!parsed) {
+    throw unauthorized('API key inválida', 'invalid_api_key');
+  }
+
+  let key;
+  try {
+    key = await pb.collection('api_keys').getOne(parsed.keyId);
+  } catch (error) {
+    if (error.status === 404) throw unauthorized('API key inválida', 'invalid_api_key');
+    throw error;
+  }
+
+  if (!safeEqual(key.hash, parsed.hash)) {
+    throw unauthorized('API key inválida', 'invalid_api_key');
+  }
+
+  if (isApiKeyExpired(key)) {
+    throw unauthorized('API key expirada', 'api_key_expired');
+  }
+
+  if (!key.lastUsed || Date.now() - parseDate(key.lastUsed) > LAST_USED_RESOLUTION) {
+    pb.collection('api_keys').update(key.id, { lastUsed: new Date().toISOString() })
+      .catch(error => console.error('Error actualizando lastUsed de la API key:', error));
+  }
+
+  return key;
+};
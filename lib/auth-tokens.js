@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+
+// Tokens de sesión emitidos por la API:
+// - access token: JWT HS256 de vida corta con el usuario (sub) y la sesión (sid)
+// - refresh token: "<sessionId>.<secreto>" opaco; solo se guarda el hash del secreto
+
+const unauthorized = (message, code) => {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = code;
+  return error;
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (data, secret) => {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Firma un access token con los claims indicados y caducidad en ttl segundos.
+ */
+export const signAccessToken = (claims, secret, ttl) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encode({ alg: 'HS256', typ: 'JWT' });
+  const payload = encode({ ...claims, iat: now, exp: now + ttl });
+  return `${header}.${payload}.${sign(`${header}.${payload}`, secret)}`;
+};
+
+/**
+ * Verifica firma y caducidad de un access token y devuelve sus claims.
+ * Lanza un error con status 401 y code invalid_token o token_expired.
+ */
+export const verifyAccessToken = (token, secret) => {
+  const [header, payload, signature] = String(token).split('.');
+
+  if (!header || !payload || !signature || !safeEqual(signature, sign(`${header}.${payload}`, secret))) {
+    throw unauthorized('Token inválido', 'invalid_token');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (error) {
+    throw unauthorized('Token inválido', 'invalid_token');
+  }
+
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw unauthorized('Token expirado', 'token_expired');
+  }
+
+  return claims;
+};
+
+/**
+ * Genera el secreto de un refresh token nuevo y el hash que se guarda en la sesión.
+ */
+export const createRefreshSecret = () => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { secret, hash: hashSecret(secret) };
+};
+
+export const formatRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+/**
+ * Separa un refresh token en { sessionId, hash } o devuelve null si no tiene el formato.
+ */
+export const parseRefreshToken = (token) => {
+  const [sessionId, secret, ...rest] = String(token || '').split('.');
+  if (!sessionId || !secret || rest.length) return null;
+  return { sessionId, hash: hashSecret(secret) };
+};
+
+export const refreshHashMatches = (storedHash, hash) => safeEqual(storedHash, hash);
@@ -0,0 +1,76 @@
+import { createPocketBaseClient } from './pocketbase-clients.js';
+import { verifyAccessToken } from './auth-tokens.js';
+import { verifyApiKey } from './api-keys.js';
+import { resolveAccess } from './permissions.js';
+
+// Middleware de autenticación. Cada petición autenticada recibe en req.pb un
+// cliente de PocketBase propio: el authStore es estado mutable y compartirlo
+// entre peticiones concurrentes haría que un usuario actuase como otro.
+
+// Los registros de usuario se leen con sus roles para resolver los permisos
+export const withRoles = { expand: 'roles' };
+
+export const isSessionActive = (session) => {
+  return !session.revoked && new Date(session.expires.replace(' ', 'T')) > new Date();
+};
+
+/**
+ * Crea el middleware que valida el access token y consulta la sesión, de modo
+ * que una sesión revocada deja de funcionar de inmediato. Los servicios se
+ * autentican con una API key en X-API-Key: la petición no tiene usuario
+ * (req.user es null), sus permisos son los de la clave y PocketBase se
+ * consulta con la cuenta de servicio (getServiceClient).
+ */
+export const createAuthenticateToken = ({ pocketbaseUrl, getServiceClient, authTokenSecret }) => async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+
+    if (apiKey) {
+      const pb = await getServiceClient();
+      const key = await verifyApiKey(pb, apiKey);
+
+      req.pb = pb;
+      req.user = null;
+      req.access = { roles: [], permissions: key.permissions || [] };
+      req.apiKey = key;
+      req.session = null;
+      return next();
+    }
+
+    const token = req.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({ error: 'Token de autenticación requerido' });
+    }
+
+    const claims = verifyAccessToken(token, authTokenSecret);
+
+    const pb = await getServiceClient();
+    const session = await pb.collection('sessions').getOne(claims.sid);
+
+    if (session.user !== claims.sub || !isSessionActive(session)) {
+      return res.status(401).json({ error: 'La sesión ha sido cerrada', code: 'session_revoked' });
+    }
+
+    // Cliente propio de la petición: el authStore no se comparte con
+    // otras peticiones concurrentes
+    const client = createPocketBaseClient(pocketbaseUrl);
+    client.authStore.save(session.pbToken, null);
+    await client.collection('users').authRefresh({}, withRoles);
+
+    req.pb = client;
+    req.user = client.authStore.model;
+    req.access = resolveAccess(req.user);
+    req.session = session;
+    next();
+  } catch (error) {
+    if (error.code === 'invalid_api_key' || error.code === 'api_key_expired') {
+      return res.status(401).json({ error: error.message, code: error.code });
+    }
+
+    res.status(401).json({
+      error: 'Token inválido o expirado',
+      code: error.code === 'token_expired' ? 'token_expired' : 'invalid_token'
+    });
+  }
+};
@@ -0,0 +1,151 @@
+import sharp from 'sharp';
+import { ALLOWED_DIMENSIONS } from './image-transform.js';
+
+// Recorte del lado del servidor para la subida de avatares:
+// región explícita (crop), punto focal (focalPoint) y recorte inteligente (position).
+
+export const AVATAR_MASTER_SIZE = 400;
+
+export const POSITIONS = {
+  center: 'centre',
+  attention: sharp.strategy.attention,
+  entropy: sharp.strategy.entropy
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Acepta "a,b,c" o un objeto JSON con las claves indicadas
+const parseNumbers = (value, keys, name) => {
+  let numbers;
+
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw badRequest(`El campo ${name} no es un JSON válido`);
+    }
+    numbers = keys.map(key => Number(parsed[key]));
+  } else {
+    numbers = String(value).split(',').map(part => Number(part.trim()));
+  }
+
+  if (numbers.length !== keys.length || numbers.some(number => !Number.isFinite(number))) {
+    throw badRequest(`El campo ${name} debe tener el formato ${keys.join(',')}`);
+  }
+
+  return Object.fromEntries(keys.map((key, index) => [key, numbers[index]]));
+};
+
+/**
+ * Lee crop, focalPoint y position del cuerpo multipart de la subida.
+ * - crop: región en píxeles de la imagen orientada ("x,y,width,height")
+ * - focalPoint: punto relativo 0..1 dentro de la región ("x,y")
+ * - position: center | attention | entropy
+ */
+export const parseCropOptions = (body = {}) => {
+  const { crop, focalPoint, position = 'center' } = body;
+  const options = { crop: null, focalPoint: null, position };
+
+  if (crop) {
+    const region = parseNumbers(crop, ['x', 'y', 'width', 'height'], 'crop');
+    if (region.x < 0 || region.y < 0 || region.width <= 0 || region.height <= 0) {
+      throw badRequest('El campo crop debe tener coordenadas positivas');
+    }
+    options.crop = {
+      left: Math.round(region.x),
+      top: Math.round(region.y),
+      width: Math.round(region.width),
+      height: Math.round(region.height)
+    };
+  }
+
+  if (focalPoint) {
+    const point = parseNumbers(focalPoint, ['x', 'y'], 'focalPoint');
+    if (point.x < 0 || point.x > 1 || point.y < 0 || point.y > 1) {
+      throw badRequest('El campo focalPoint debe estar entre 0 y 1');
+    }
+    options.focalPoint = point;
+  }
+
+  if (!POSITIONS[position]) {
+    throw badRequest(`El campo position debe ser uno de: ${Object.keys(POSITIONS).join(', ')}`);
+  }
+
+  return options;
+};
+
+// Dimensiones tal como se ven, aplicando la orientación EXIF
+const orientedSize = ({ width, height, orientation }) => {
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+};
+
+// Región cuadrada lo más grande posible centrada en el punto focal
+const regionAroundFocalPoint = (region, { x, y }) => {
+  const side = Math.min(region.width, region.height);
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  return {
+    left: region.left + clamp(Math.round(x * region.width - side / 2), region.width - side),
+    top: region.top + clamp(Math.round(y * region.height - side / 2), region.height - side),
+    width: side,
+    height: side
+  };
+};
+
+/**
+ * Genera el avatar cuadrado a partir de la imagen subida.
+ * Con withoutEnlargement el lado se limita al de la región, sin ampliar.
+ * Devuelve un pipeline de sharp listo para codificar.
+ */
+export const cropAvatar = async (
+  buffer,
+  { crop = null, focalPoint = null, position = 'center' } = {},
+  size = AVATAR_MASTER_SIZE,
+  { withoutEnlargement = false } = {}
+) => {
+  const image = orientedSize(await sharp(buffer).metadata());
+
+  let region = null;
+
+  if (crop) {
+    if (crop.left + crop.width > image.width || crop.top + crop.height > image.height) {
+      throw badRequest('La región de recorte excede las dimensiones de la imagen');
+    }
+    region = crop;
+  }
+
+  if (focalPoint) {
+    region = regionAroundFocalPoint(region || { left: 0, top: 0, ...image }, focalPoint);
+  }
+
+  let pipeline = sharp(buffer).rotate();
+
+  if (region) {
+    pipeline = pipeline.extract(region);
+  }
+
+  const source = region || image;
+  const side = withoutEnlargement
+    ? Math.min(size, source.width, source.height)
+    : size;
+
+  return pipeline.resize(side, side, {
+    fit: 'cover',
+    position: POSITIONS[position]
+  });
+};
+
+/**
+ * Prepara, desde el original, la fuente sin pérdidas para una variante de avatar:
+ * el mismo recorte guardado en la subida, al tamaño de la variante solicitada.
+ */
+export const avatarSourceFromOriginal = async (original, cropOptions, { width, height }) => {
+  const side = Math.max(width || 0, height || 0) || ALLOWED_DIMENSIONS[ALLOWED_DIMENSIONS.length - 1];
+  const pipeline = await cropAvatar(original, cropOptions || {}, side, { withoutEnlargement: true });
+  return pipeline.png({ compressionLevel: 0 }).toBuffer();
+};
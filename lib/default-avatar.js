@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+// Avatares generados para usuarios sin imagen subida. Son deterministas:
+// el mismo usuario obtiene siempre el mismo color y el mismo patrón.
+
+export const FALLBACK_STYLES = ['initials', 'identicon', '404'];
+
+// Tamaño del máster generado; las variantes se derivan de él como con un avatar subido
+const MASTER_SIZE = 512;
+
+const hashOf = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+const colorFor = (seed) => {
+  const hue = hashOf(seed).readUInt16BE(0) % 360;
+  return `hsl(${hue}, 55%, 45%)`;
+};
+
+const escapeXml = (value) => value.replace(/[<>&'"]/g, char => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  "'": '&apos;',
+  '"': '&quot;'
+}[char]));
+
+export const initialsFor = (name = '') => {
+  const words = name.trim().split(/\s+/).filter(Boolean);
+  const letters = words
+    .slice(0, 2)
+    .map(word => Array.from(word)[0])
+    .join('')
+    .toUpperCase();
+  return letters || '?';
+};
+
+const initialsSvg = (user) => {
+  const initials = escapeXml(initialsFor(user.name));
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${MASTER_SIZE}" height="${MASTER_SIZE}" viewBox="0 0 ${MASTER_SIZE} ${MASTER_SIZE}">
+  <rect width="100%" height="100%" fill="${colorFor(user.id)}"/>
+  <text x="50%" y="50%" dy=".35em" text-anchor="middle" fill="#ffffff"
+    font-family="DejaVu Sans, Arial, Helvetica, sans-serif" font-weight="bold" font-size="${MASTER_SIZE * 0.42}">${initials}</text>
+</svg>`;
+};
+
+// Identicon 5x5 simétrico: las dos primeras columnas se reflejan sobre la central
+const identiconSvg = (user) => {
+  const hash = hashOf(user.id);
+  const cells = [];
+
+  for (let row = 0; row < 5; row++) {
+    for (let col = 0; col < 3; col++) {
+      if (hash[row * 3 + col] % 2 === 0) {
+        cells.push([col, row]);
+        if (col < 2) cells.push([4 - col, row]);
+      }
+    }
+  }
+
+  const rects = cells
+    .map(([x, y]) => `<rect x="${x}" y="${y}" width="1" height="1"/>`)
+    .join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${MASTER_SIZE}" height="${MASTER_SIZE}" viewBox="-0.5 -0.5 6 6" shape-rendering="crispEdges">
+  <rect x="-0.5" y="-0.5" width="6" height="6" fill="#f0f0f0"/>
+  <g fill="${colorFor(user.id)}">${rects}</g>
+</svg>`;
+};
+
+/**
+ * Genera el máster WEBP del avatar por defecto de un usuario.
+ * El resultado pasa después por renderVariant igual que un avatar subido.
+ */
+export const renderDefaultAvatar = (user, style = 'initials') => {
+  const svg = style === 'identicon' ? identiconSvg(user) : initialsSvg(user);
+  return sharp(Buffer.from(svg))
+    .webp({ quality: 90 })
+    .toBuffer();
+};
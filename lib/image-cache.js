@@ -0,0 +1,374 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Caché de imágenes procesadas: capa en memoria LRU limitada por bytes,
+// con TTL por entrada y una capa opcional en disco (backend intercambiable).
+//
+// Cada entrada es { data: Buffer, contentType: string, ...metadatos }.
+
+const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DISK_MAX_BYTES = 512 * 1024 * 1024;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Borrados por prefijo que se recuerdan para descartar renderizados
+// empezados antes (ver mark()); uno más antiguo invalida cualquier clave
+const MAX_TRACKED_INVALIDATIONS = 1000;
+
+// Backend en disco: un archivo binario por entrada más un .json con metadatos.
+// Cualquier objeto con get/set/delete/deleteByPrefix puede sustituirlo.
+//
+// Como la capa en memoria, se limita por bytes (maxBytes) desalojando la
+// entrada menos usada; un índice en memoria guarda el tamaño, la caducidad y
+// el orden de uso de cada clave, y al arrancar se reconstruye con lo que ya
+// hay en el directorio (de más antigua a más reciente). Cada sweepInterval
+// se borran las entradas caducadas aunque nadie vuelva a pedirlas.
+export const createDiskCacheBackend = (dir, {
+  maxBytes = DEFAULT_DISK_MAX_BYTES,
+  sweepInterval = DEFAULT_SWEEP_INTERVAL_MS
+} = {}) => {
+  const fileFor = (key) => path.join(dir, encodeURIComponent(key));
+
+  const index = new Map();
+  let bytes = 0;
+
+  const stats = {
+    evictions: 0,
+    expirations: 0
+  };
+
+  const forget = (key) => {
+    const entry = index.get(key);
+    if (entry) {
+      bytes -= entry.size;
+      index.delete(key);
+    }
+  };
+
+  const remove = async (key) => {
+    forget(key);
+    const file = fileFor(key);
+    await Promise.all([
+      fs.rm(file, { force: true }),
+      fs.rm(`${file}.json`, { force: true })
+    ]);
+  };
+
+  const evictOldest = async () => {
+    while (bytes > maxBytes) {
+      const oldestKey = index.keys().next().value;
+      stats.evictions++;
+      await remove(oldestKey);
+    }
+  };
+
+  const load = async () => {
+    await fs.mkdir(dir, { recursive: true });
+    const names = await fs.readdir(dir);
+    const found = [];
+
+    await Promise.all(names
+      .filter(name => name.endsWith('.json'))
+      .map(async (name) => {
+        const key = decodeURIComponent(name.slice(0, -'.json'.length));
+        try {
+          const [json, stat] = await Promise.all([
+            fs.readFile(path.join(dir, name), 'utf8'),
+            fs.stat(fileFor(key))
+          ]);
+          const { expiresAt } = JSON.parse(json);
+          found.push({ key, size: stat.size + Buffer.byteLength(json), expiresAt, mtime: stat.mtimeMs });
+        } catch {
+          // Entrada a medias (sin datos o con metadatos ilegibles)
+          await remove(key);
+        }
+      }));
+
+    found.sort((a, b) => a.mtime - b.mtime);
+    for (const { key, size, expiresAt } of found) {
+      index.set(key, { size, expiresAt });
+      bytes += size;
+    }
+    await evictOldest();
+  };
+
+  const ready = load();
+
+  const sweep = async () => {
+    await ready;
+    const now = Date.now();
+    const expired = [...index]
+      .filter(([, entry]) => entry.expiresAt && entry.expiresAt <= now)
+      .map(([key]) => key);
+
+    stats.expirations += expired.length;
+    await Promise.all(expired.map(remove));
+  };
+
+  const timer = setInterval(() => {
+    sweep().catch(error => console.error('Error limpiando la caché de disco:', error));
+  }, sweepInterval);
+  timer.unref();
+
+  return {
+    async get(key) {
+      await ready;
+      const file = fileFor(key);
+      try {
+        const meta = JSON.parse(await fs.readFile(`${file}.json`, 'utf8'));
+        if (meta.expiresAt && meta.expiresAt <= Date.now()) {
+          stats.expirations++;
+          await remove(key);
+          return null;
+        }
+        const data = await fs.readFile(file);
+
+        // Reinsertar para marcarla como la más reciente
+        const entry = index.get(key);
+        if (entry) {
+          index.delete(key);
+          index.set(key, entry);
+        }
+        return { ...meta, data };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async set(key, entry) {
+      await ready;
+      const { data, ...meta } = entry;
+      const json = JSON.stringify(meta);
+      const size = data.length + Buffer.byteLength(json);
+
+      // Una entrada mayor que todo el presupuesto no se guarda en disco
+      if (size > maxBytes) {
+        await remove(key);
+        return;
+      }
+
+      const file = fileFor(key);
+      await fs.writeFile(file, data);
+      await fs.writeFile(`${file}.json`, json);
+
+      forget(key);
+      index.set(key, { size, expiresAt: meta.expiresAt });
+      bytes += size;
+      await evictOldest();
+    },
+
+    delete: remove,
+
+    async deleteByPrefix(prefix) {
+      await ready;
+      for (const key of [...index.keys()]) {
+        if (key.startsWith(prefix)) {
+          forget(key);
+        }
+      }
+
+      const encoded = encodeURIComponent(prefix);
+      const files = await fs.readdir(dir);
+      await Promise.all(files
+        .filter(name => name.startsWith(encoded))
+        .map(name => fs.rm(path.join(dir, name), { force: true })));
+    },
+
+    sweep,
+
+    stats() {
+      return { ...stats, entries: index.size, bytes, maxBytes };
+    }
+  };
+};
+
+export const createImageCache = ({
+  maxBytes = DEFAULT_MAX_BYTES,
+  ttl = DEFAULT_TTL_MS,
+  backend = null
+} = {}) => {
+  // Map conserva el orden de inserción: la primera clave es la menos usada
+  const entries = new Map();
+  let bytes = 0;
+
+  // Renderizados en curso por clave: las peticiones simultáneas de una misma
+  // variante esperan al primero en lugar de repetirlo
+  const pending = new Map();
+
+  // Borrados por prefijo numerados: un renderizado que empezó antes de un
+  // borrado que afecta a su clave produce datos viejos y no se guarda
+  let epoch = 0;
+  let forgotten = 0;
+  const invalidations = [];
+
+  const invalidatedSince = (key, since) => {
+    if (since < forgotten) return true;
+    return invalidations.some(({ epoch: at, prefix }) => at > since && key.startsWith(prefix));
+  };
+
+  const stats = {
+    hits: 0,
+    diskHits: 0,
+    misses: 0,
+    evictions: 0,
+    expirations: 0,
+    coalesced: 0,
+    stale: 0
+  };
+
+  const removeFromMemory = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      bytes -= entry.data.length;
+      entries.delete(key);
+    }
+  };
+
+  const storeInMemory = (key, entry) => {
+    removeFromMemory(key);
+
+    // Una entrada mayor que todo el presupuesto no se guarda en memoria
+    if (entry.data.length > maxBytes) return;
+
+    entries.set(key, entry);
+    bytes += entry.data.length;
+
+    while (bytes > maxBytes) {
+      const oldestKey = entries.keys().next().value;
+      removeFromMemory(oldestKey);
+      stats.evictions++;
+    }
+  };
+
+  // Los errores del backend en disco no deben tumbar la petición
+  const safely = async (operation, fallback = null) => {
+    try {
+      return await operation();
+    } catch (error) {
+      console.error('Error en caché de disco:', error);
+      return fallback;
+    }
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+
+      if (entry) {
+        if (entry.expiresAt <= Date.now()) {
+          removeFromMemory(key);
+          stats.expirations++;
+        } else {
+          // Reinsertar para marcarla como la más reciente
+          entries.delete(key);
+          entries.set(key, entry);
+          stats.hits++;
+          return { ...entry, source: 'memory' };
+        }
+      }
+
+      if (backend) {
+        const stored = await safely(() => backend.get(key));
+        if (stored) {
+          storeInMemory(key, stored);
+          stats.diskHits++;
+          return { ...stored, source: 'disk' };
+        }
+      }
+
+      stats.misses++;
+      return null;
+    },
+
+    // Marca del momento actual para set({ since }): tómala antes de leer el
+    // registro del que sale la entrada
+    mark() {
+      return epoch;
+    },
+
+    // Con since (de mark()), la entrada no se guarda si desde entonces se ha
+    // borrado un prefijo que incluye la clave: se calculó con datos viejos
+    async set(key, data, { ttl: entryTtl = ttl, since, ...meta } = {}) {
+      if (since !== undefined && invalidatedSince(key, since)) {
+        stats.stale++;
+        return;
+      }
+
+      const entry = { ...meta, data, expiresAt: Date.now() + entryTtl };
+      storeInMemory(key, entry);
+      if (backend) {
+        await safely(() => backend.set(key, entry));
+
+        // El borrado pudo llegar mientras se escribía en disco
+        if (since !== undefined && invalidatedSince(key, since)) {
+          removeFromMemory(key);
+          await safely(() => backend.delete(key));
+        }
+      }
+    },
+
+    // Ejecuta render() una sola vez por clave mientras esté en curso; las
+    // llamadas simultáneas reciben el mismo resultado (o el mismo error)
+    coalesce(key, render) {
+      const inFlight = pending.get(key);
+      if (inFlight) {
+        stats.coalesced++;
+        return inFlight;
+      }
+
+      const promise = Promise.resolve()
+        .then(render)
+        .finally(() => {
+          if (pending.get(key) === promise) pending.delete(key);
+        });
+      pending.set(key, promise);
+      return promise;
+    },
+
+    async delete(key) {
+      removeFromMemory(key);
+      if (backend) {
+        await safely(() => backend.delete(key));
+      }
+    },
+
+    async deleteByPrefix(prefix) {
+      epoch++;
+      invalidations.push({ epoch, prefix });
+      if (invalidations.length > MAX_TRACKED_INVALIDATIONS) {
+        forgotten = invalidations.shift().epoch;
+      }
+
+      // Las peticiones que lleguen a partir de ahora no se unen a un
+      // renderizado en curso con los datos anteriores
+      for (const key of [...pending.keys()]) {
+        if (key.startsWith(prefix)) {
+          pending.delete(key);
+        }
+      }
+
+      for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix)) {
+          removeFromMemory(key);
+        }
+      }
+      if (backend) {
+        await safely(() => backend.deleteByPrefix(prefix));
+      }
+    },
+
+    stats() {
+      const lookups = stats.hits + stats.diskHits + stats.misses;
+      return {
+        ...stats,
+        entries: entries.size,
+        rendering: pending.size,
+        bytes,
+        maxBytes,
+        hitRate: lookups ? (stats.hits + stats.diskHits) / lookups : 0,
+        disk: backend?.stats?.() ?? Boolean(backend)
+      };
+    }
+  };
+};
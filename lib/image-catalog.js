@@ -0,0 +1,135 @@
+import { filterValue, allOf, anyOf } from './pocketbase-filter.js';
+import { parsePagination, parseSort } from './list-query.js';
+import { notDeleted } from './trash.js';
+
+// Catalogación de las imágenes de administración: etiquetas, descripción y
+// texto alternativo (alt_text) de cada imagen, y los parámetros de búsqueda
+// del listado (GET /api/admin/images) traducidos a un filtro de PocketBase.
+// Las etiquetas se guardan normalizadas (minúsculas, sin espacios) en un
+// campo JSON, así que el filtro por etiqueta busca el valor entre comillas.
+
+export const DEFAULT_PER_PAGE = 20;
+export const MAX_PER_PAGE = 100;
+
+export const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_ALT_TEXT_LENGTH = 250;
+const MAX_QUERY_LENGTH = 100;
+
+const SORT_FIELDS = ['alias', 'created', 'updated'];
+
+export const DEFAULT_SORT = '-created';
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Normaliza una etiqueta: minúsculas y espacios como guiones. Solo admite
+ * letras, números, - y _, hasta 30 caracteres. Lanza un error con status 400.
+ */
+export const normalizeTag = (value) => {
+  const tag = String(value).trim().toLowerCase().replace(/\s+/g, '-');
+  if (!/^[\p{L}\p{N}_-]+$/u.test(tag) || tag.length > MAX_TAG_LENGTH) {
+    throw badRequest(`Etiqueta no válida: "${value}" (letras, números, - y _, hasta ${MAX_TAG_LENGTH} caracteres)`);
+  }
+  return tag;
+};
+
+// Lista de etiquetas: un array, un JSON ["a","b"] o texto separado por comas
+const parseTags = (value) => {
+  let tags = value;
+
+  if (typeof value === 'string') {
+    if (value.trim().startsWith('[')) {
+      try {
+        tags = JSON.parse(value);
+      } catch {
+        throw badRequest('El campo tags no es un JSON válido');
+      }
+    } else {
+      tags = value.split(',');
+    }
+  }
+
+  if (!Array.isArray(tags)) {
+    throw badRequest('El campo tags debe ser una lista de etiquetas');
+  }
+
+  const normalized = [...new Set(tags.filter(tag => String(tag).trim()).map(normalizeTag))];
+  if (normalized.length > MAX_TAGS) {
+    throw badRequest(`Una imagen no puede tener más de ${MAX_TAGS} etiquetas`);
+  }
+  return normalized;
+};
+
+const parseText = (value, name, maxLength) => {
+  const text = String(value).trim();
+  if (text.length > maxLength) {
+    throw badRequest(`El campo ${name} no puede tener más de ${maxLength} caracteres`);
+  }
+  return text;
+};
+
+/**
+ * Lee tags, description y alt_text del cuerpo de una creación o edición.
+ * Devuelve solo los campos presentes (un texto vacío los borra), listos para
+ * guardar en PocketBase. Lanza errores con status 400.
+ */
+export const parseImageFields = (body = {}) => {
+  const fields = {};
+
+  if (body.tags !== undefined) {
+    fields.tags = parseTags(body.tags);
+  }
+  if (body.description !== undefined) {
+    fields.description = parseText(body.description, 'description', MAX_DESCRIPTION_LENGTH);
+  }
+  if (body.alt_text !== undefined) {
+    fields.alt_text = parseText(body.alt_text, 'alt_text', MAX_ALT_TEXT_LENGTH);
+  }
+
+  return fields;
+};
+
+/**
+ * Traduce la query de GET /api/admin/images a { page, perPage, filter, sort }
+ * para getList(). q busca en alias, descripción, texto alternativo y
+ * etiquetas; tag (una o varias separadas por comas) exige todas; creator es
+ * un id de usuario o "me" (viewerId). Las imágenes en la papelera no se
+ * listan. Lanza errores con status 400.
+ */
+export const parseImageListQuery = (query = {}, { viewerId = null } = {}) => {
+  const { page, perPage } = parsePagination(query, {
+    defaultPerPage: DEFAULT_PER_PAGE,
+    maxPerPage: MAX_PER_PAGE
+  });
+
+  const sort = parseSort(query.sort, SORT_FIELDS, DEFAULT_SORT);
+  const conditions = [notDeleted('deletedAt')];
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    if (q.length > MAX_QUERY_LENGTH) {
+      throw badRequest(`q no puede tener más de ${MAX_QUERY_LENGTH} caracteres`);
+    }
+
+    conditions.push(anyOf(['alias', 'description', 'alt_text', 'tags'].map(field => `${field} ~ ${filterValue(q)}`)));
+  }
+
+  // ?tag=a,b o ?tag=a&tag=b
+  const tags = [].concat(query.tag ?? []).flatMap(value => String(value).split(','));
+  for (const tag of tags.filter(tag => tag.trim())) {
+    conditions.push(`tags ~ ${filterValue(JSON.stringify(normalizeTag(tag)))}`);
+  }
+
+  if (typeof query.creator === 'string' && query.creator.trim()) {
+    const creator = query.creator.trim() === 'me' ? viewerId : query.creator.trim();
+    conditions.push(`creator_id = ${filterValue(creator || '')}`);
+  }
+
+  return { page, perPage, sort, filter: allOf(conditions) };
+};
@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import path from 'path';
+import { unzipSync } from 'fflate';
+
+// Importación de imágenes en lote: archivos sueltos o un ZIP, con un
+// manifiesto opcional (CSV o JSON) que asigna un alias a cada archivo. Sin
+// manifiesto, el alias se deriva del nombre del archivo.
+//   manifest.csv:  file,alias            manifest.json: [{ "file": "a.jpg", "alias": "avatar123" }]
+//                  a.jpg,avatar123                      o { "a.jpg": "avatar123" }
+
+// Nombres con los que se reconoce un manifiesto en la raíz del ZIP
+export const MANIFEST_NAMES = ['manifest.json', 'manifest.csv'];
+
+// Mismas reglas que el formulario de admin/images.astro
+const ALIAS_MIN_LENGTH = 5;
+const ALIAS_MAX_LENGTH = 15;
+
+// Métodos de compresión ZIP que se pueden extraer: stored y deflate
+const SUPPORTED_COMPRESSION = [0, 8];
+
+const importError = (message, status, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Entradas que no son archivos del usuario: directorios, metadatos de macOS
+// y archivos ocultos
+const isIgnoredEntry = (name) => {
+  return name.endsWith('/')
+    || name.split('/').some(part => part === '__MACOSX' || part.startsWith('.'));
+};
+
+const megabytes = (bytes) => `${Math.round(bytes / 1024 / 1024)}MB`;
+
+/**
+ * Almacenamiento de multer para la importación: guarda los archivos en
+ * memoria, como memoryStorage, pero con un límite por campo (fieldLimits,
+ * { images, archive, manifest } en bytes) y otro para el total de la
+ * petición (maxTotalBytes). Al superar cualquiera de los dos la subida se
+ * corta con un error con status 413 y code file_too_large o import_too_large.
+ */
+export const createImportStorage = ({ fieldLimits, maxTotalBytes }) => {
+  const received = new WeakMap();
+
+  return {
+    _handleFile(req, file, cb) {
+      const limit = fieldLimits[file.fieldname] ?? 0;
+      const chunks = [];
+      let size = 0;
+      let done = false;
+
+      const finish = (error, info) => {
+        if (done) return;
+        done = true;
+        cb(error, info);
+      };
+
+      file.stream.on('data', (chunk) => {
+        if (done) return;
+
+        size += chunk.length;
+        const total = (received.get(req) || 0) + chunk.length;
+        received.set(req, total);
+
+        if (size > limit) {
+          chunks.length = 0;
+          return finish(importError(`${file.originalname} supera el tamaño máximo permitido (${megabytes(limit)})`, 413, 'file_too_large'));
+        }
+
+        if (total > maxTotalBytes) {
+          chunks.length = 0;
+          return finish(importError(`La importación supera el máximo de ${megabytes(maxTotalBytes)} por petición`, 413, 'import_too_large'));
+        }
+
+        chunks.push(chunk);
+      });
+
+      file.stream.on('error', error => finish(error));
+      file.stream.on('end', () => finish(null, { buffer: Buffer.concat(chunks, size), size }));
+    },
+
+    _removeFile(req, file, cb) {
+      delete file.buffer;
+      cb(null);
+    }
+  };
+};
+
+/**
+ * Extrae los archivos de un ZIP. Devuelve { files, manifest, skipped }: files
+ * son { name, buffer } con la ruta dentro del ZIP, manifest el del ZIP (si lo
+ * hay) y skipped las entradas que no se extraen, con su motivo. maxFiles
+ * limita las entradas, maxFileSize el tamaño descomprimido de cada una y
+ * maxTotalSize la suma de todas. Lanza un error con status 400 si el ZIP no
+ * es válido o tiene demasiadas entradas, y con status 413 si descomprimido
+ * supera maxTotalSize. Es trabajo de CPU síncrono: el servidor lo ejecuta en
+ * el pool de workers (ver image-tasks.js).
+ */
+export const readZipArchive = (buffer, { maxFiles, maxFileSize, maxTotalSize = Infinity }) => {
+  const skipped = [];
+  let count = 0;
+  let totalSize = 0;
+  let entries;
+
+  try {
+    entries = unzipSync(new Uint8Array(buffer), {
+      filter: (entry) => {
+        if (isIgnoredEntry(entry.name)) return false;
+
+        if (!MANIFEST_NAMES.includes(entry.name) && ++count > maxFiles) {
+          throw importError(`El ZIP no puede contener más de ${maxFiles} archivos`, 400, 'too_many_files');
+        }
+
+        if (!SUPPORTED_COMPRESSION.includes(entry.compression)) {
+          skipped.push({ file: entry.name, error: 'Método de compresión no soportado', code: 'unsupported_compression' });
+          return false;
+        }
+
+        // El tamaño declarado fija el búfer de salida: un archivo que
+        // descomprime más de lo declarado invalida el ZIP
+        if (entry.originalSize > maxFileSize) {
+          skipped.push({ file: entry.name, error: 'La imagen supera el tamaño máximo permitido', code: 'file_too_large' });
+          return false;
+        }
+
+        totalSize += entry.originalSize;
+        if (totalSize > maxTotalSize) {
+          throw importError(`El contenido del ZIP supera el máximo de ${megabytes(maxTotalSize)} por importación`, 413, 'import_too_large');
+        }
+
+        return true;
+      }
+    });
+  } catch (error) {
+    if (error.status) throw error;
+    throw importError('El archivo ZIP no es válido', 400, 'invalid_archive');
+  }
+
+  let manifest = null;
+  const files = [];
+
+  for (const [name, data] of Object.entries(entries)) {
+    const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    if (MANIFEST_NAMES.includes(name)) {
+      manifest = { name, buffer };
+    } else {
+      files.push({ name, buffer });
+    }
+  }
+
+  return { files, manifest, skipped };
+};
+
+const parseCsvLine = (line) => {
+  const values = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      values.push(value.trim());
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  values.push(value.trim());
+  return values;
+};
+
+const parseCsvManifest = (text) => {
+  const rows = text.split(/\r?\n/).filter(line => line.trim()).map(parseCsvLine);
+
+  // Cabecera opcional: file,alias (en cualquier orden)
+  let fileColumn = 0;
+  let aliasColumn = 1;
+  const header = rows[0]?.map(value => value.toLowerCase());
+  if (header?.includes('file') && header.includes('alias')) {
+    fileColumn = header.indexOf('file');
+    aliasColumn = header.indexOf('alias');
+    rows.shift();
+  }
+
+  return rows.map(row => ({ file: row[fileColumn], alias: row[aliasColumn] }));
+};
+
+const parseJsonManifest = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw importError('El manifiesto JSON no es válido', 400, 'invalid_manifest');
+  }
+
+  if (Array.isArray(data)) {
+    return data.map(entry => ({ file: entry?.file, alias: entry?.alias }));
+  }
+  if (data && typeof data === 'object') {
+    return Object.entries(data).map(([file, alias]) => ({ file, alias }));
+  }
+  throw importError('El manifiesto JSON debe ser una lista o un objeto', 400, 'invalid_manifest');
+};
+
+/**
+ * Lee un manifiesto CSV o JSON (según la extensión de name) y devuelve un
+ * Map de nombre de archivo a alias. Lanza errores con status 400 y code
+ * invalid_manifest.
+ */
+export const parseManifest = ({ name, buffer }) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const entries = path.extname(name).toLowerCase() === '.json'
+    ? parseJsonManifest(text)
+    : parseCsvManifest(text);
+
+  const aliases = new Map();
+  for (const { file, alias } of entries) {
+    if (typeof file !== 'string' || !file.trim() || typeof alias !== 'string' || !alias.trim()) {
+      throw importError('Cada entrada del manifiesto necesita file y alias', 400, 'invalid_manifest');
+    }
+    if (aliases.has(file.trim())) {
+      throw importError(`Archivo repetido en el manifiesto: ${file.trim()}`, 400, 'invalid_manifest');
+    }
+    aliases.set(file.trim(), alias.trim());
+  }
+
+  return aliases;
+};
+
+/**
+ * Alias para un archivo sin entrada en el manifiesto: su nombre sin
+ * extensión, solo letras y números, de 5 a 15 caracteres (se completa con
+ * caracteres aleatorios si es más corto).
+ */
+export const aliasFromFilename = (name) => {
+  let alias = path.basename(name, path.extname(name)).replace(/[^a-zA-Z0-9]/g, '').slice(0, ALIAS_MAX_LENGTH);
+
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  while (alias.length < ALIAS_MIN_LENGTH) {
+    alias += chars[crypto.randomInt(chars.length)];
+  }
+  return alias;
+};
+
+/**
+ * Alias de un archivo: la entrada del manifiesto por su ruta completa o, si
+ * no la hay, por su nombre; si tampoco, el derivado del nombre.
+ */
+export const aliasForFile = (aliases, name) => {
+  return aliases?.get(name) || aliases?.get(path.basename(name)) || aliasFromFilename(name);
+};
+
+/**
+ * Archivos del manifiesto que no corresponden a ninguno de names (rutas de
+ * los archivos recibidos), para informarlos como fallidos.
+ */
+export const unmatchedManifestFiles = (aliases, names) => {
+  const known = new Set(names.flatMap(name => [name, path.basename(name)]));
+  return [...aliases.keys()].filter(file => !known.has(file));
+};
@@ -0,0 +1,75 @@
+import sharp from 'sharp';
+
+// Normalización de las imágenes subidas antes de guardarlas: se aplica la
+// orientación EXIF a los píxeles y se elimina todo el metadato (EXIF, GPS,
+// XMP, IPTC, comentarios). Opcionalmente se conserva el perfil ICC.
+
+// Codificación del original saneado: se mantiene el formato con alta calidad
+const ENCODER_OPTIONS = {
+  jpeg: { quality: 95, mozjpeg: true },
+  png: { compressionLevel: 9 },
+  webp: { quality: 95 },
+  gif: {},
+  avif: { quality: 80 }
+};
+
+const GPS_IFD_TAG = 0x8825;
+
+// Busca el puntero al bloque GPS en el IFD0 del EXIF que devuelve sharp
+const hasGpsData = (exif) => {
+  try {
+    const tiff = exif.subarray(exif.indexOf('Exif\0\0') === 0 ? 6 : 0);
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const read16 = (offset) => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const read32 = (offset) => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+    const ifd0 = read32(4);
+    const entries = read16(ifd0);
+
+    for (let index = 0; index < entries; index++) {
+      if (read16(ifd0 + 2 + index * 12) === GPS_IFD_TAG) return true;
+    }
+  } catch (error) {
+    // EXIF mal formado: se elimina igualmente, solo no se puede detallar
+  }
+  return false;
+};
+
+// Lista legible de lo que contiene la imagen y no sobrevivirá al saneado
+export const describeMetadata = (metadata, { keepIccProfile = false } = {}) => {
+  const removed = [];
+
+  if (metadata.exif) {
+    removed.push('exif');
+    if (hasGpsData(metadata.exif)) removed.push('gps');
+  }
+  if (metadata.orientation && metadata.orientation !== 1) removed.push('orientation');
+  if (metadata.xmp) removed.push('xmp');
+  if (metadata.iptc) removed.push('iptc');
+  if (metadata.comments?.length) removed.push('comments');
+  if (metadata.icc && !keepIccProfile) removed.push('icc');
+
+  return removed;
+};
+
+/**
+ * Aplica la orientación EXIF y elimina los metadatos, conservando el formato.
+ * Devuelve { data, removed } con el buffer saneado y lo que se eliminó.
+ */
+export const sanitizeImage = async (buffer, format, { keepIccProfile = false } = {}) => {
+  const metadata = await sharp(buffer).metadata();
+
+  let pipeline = sharp(buffer).rotate();
+  if (keepIccProfile && metadata.icc) {
+    pipeline = pipeline.keepIccProfile();
+  }
+
+  const data = await pipeline
+    .toFormat(format, ENCODER_OPTIONS[format] || {})
+    .toBuffer();
+
+  return {
+    data,
+    removed: describeMetadata(metadata, { keepIccProfile })
+  };
+};
@@ -0,0 +1,60 @@
+import sharp from 'sharp';
+import { renderVariant } from './image-transform.js';
+import { renderDefaultAvatar } from './default-avatar.js';
+import { cropAvatar, avatarSourceFromOriginal } from './avatar-crop.js';
+import { validateImage } from './image-validation.js';
+import { sanitizeImage } from './image-sanitize.js';
+import { readZipArchive } from './image-import.js';
+
+// Trabajo de sharp, y la extracción de los ZIP de importación, que se ejecuta
+// en el pool de workers (lib/worker-pool.js): cada tarea recibe un objeto
+// serializable y devuelve buffers o datos planos.
+// Los ajustes (límites, opciones de WEBP) llegan en el payload, porque los
+// workers no leen la configuración del servidor.
+
+export const imageTasks = {
+  // Valida y sanea una subida (ver prepareUpload en server.js)
+  async prepareUpload({ buffer, limits, keepIccProfile }) {
+    const image = await validateImage(buffer, limits);
+    const { data, removed } = await sanitizeImage(buffer, image.format, { keepIccProfile });
+    return { image, data, removed };
+  },
+
+  // Máster del avatar (400x400) a partir del original y su recorte
+  async avatarMaster({ buffer, cropOptions, webpOptions }) {
+    return (await cropAvatar(buffer, cropOptions || {}))
+      .webp(webpOptions)
+      .toBuffer();
+  },
+
+  // Máster de una imagen de administración (máximo 800px)
+  imageMaster({ buffer, webpOptions }) {
+    return sharp(buffer)
+      .rotate()
+      .resize(800, 800, {
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .webp(webpOptions)
+      .toBuffer();
+  },
+
+  variant({ buffer, transform, passthrough }) {
+    return renderVariant(buffer, transform, { passthrough });
+  },
+
+  // Variante de avatar desde el original: mismo recorte, sin pasar por el máster
+  async avatarVariant({ original, cropOptions, transform }) {
+    const source = await avatarSourceFromOriginal(original, cropOptions, transform);
+    return renderVariant(source, transform, { passthrough: false });
+  },
+
+  async defaultAvatarVariant({ user, style, transform }) {
+    return renderVariant(await renderDefaultAvatar(user, style), transform);
+  },
+
+  // Archivos de un ZIP de importación (ver readZipArchive en image-import.js)
+  readZipArchive({ buffer, limits }) {
+    return readZipArchive(buffer, limits);
+  }
+};
@@ -0,0 +1,181 @@
+import sharp from 'sharp';
+
+// Parámetros de transformación para las rutas de entrega de imágenes:
+// w, h, dpr, fit, format y el antiguo size=small|medium|large|original.
+
+// Tamaños nombrados heredados de la primera versión de la API
+export const NAMED_SIZES = {
+  small: 100,
+  medium: 300,
+  large: 600,
+  original: null
+};
+
+// Dimensiones permitidas: cualquier petición se ajusta a la más cercana
+// por arriba para que sharp no renderice tamaños arbitrarios
+export const ALLOWED_DIMENSIONS = [
+  16, 32, 48, 64, 96, 100, 128, 160, 192, 256, 300, 320, 384,
+  400, 512, 600, 640, 768, 800, 1024, 1280, 1600, 2048
+];
+
+export const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+
+// Parámetros de la query que cambian la variante servida
+export const TRANSFORM_PARAMS = ['size', 'w', 'h', 'dpr', 'fit', 'format'];
+
+export const FORMATS = {
+  webp: { contentType: 'image/webp', extension: 'webp', options: { quality: 80 } },
+  avif: { contentType: 'image/avif', extension: 'avif', options: { quality: 50 } },
+  png: { contentType: 'image/png', extension: 'png', options: { compressionLevel: 9 } },
+  jpeg: { contentType: 'image/jpeg', extension: 'jpg', options: { quality: 80, mozjpeg: true } }
+};
+
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+const MAX_DPR = 3;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+export const clampDimension = (value) => {
+  return ALLOWED_DIMENSIONS.find(allowed => allowed >= value)
+    || ALLOWED_DIMENSIONS[ALLOWED_DIMENSIONS.length - 1];
+};
+
+const parseDimension = (value, name) => {
+  if (value === undefined || value === '') return null;
+  const parsed = parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw badRequest(`El parámetro ${name} debe ser un entero positivo`);
+  }
+  return parsed;
+};
+
+export const normalizeFormat = (value) => {
+  const format = FORMAT_ALIASES[value] || value;
+  return FORMATS[format] ? format : null;
+};
+
+// Formatos que se pueden negociar, en orden de preferencia del servidor
+const NEGOTIABLE_FORMATS = ['avif', 'webp', 'jpeg'];
+
+/**
+ * Elige el formato de salida a partir de la cabecera Accept.
+ * AVIF y WEBP solo se sirven si el cliente los anuncia explícitamente;
+ * en cualquier otro caso se responde con JPEG, que todos los clientes entienden.
+ */
+export const negotiateFormat = (acceptHeader = '') => {
+  const accepted = new Map();
+
+  for (const part of acceptHeader.split(',')) {
+    const [mediaType, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.find(param => param.trim().startsWith('q='));
+    const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+    accepted.set(mediaType.trim(), Number.isFinite(q) ? q : 0);
+  }
+
+  let best = 'jpeg';
+  let bestQ = 0;
+
+  for (const format of NEGOTIABLE_FORMATS) {
+    const { contentType } = FORMATS[format];
+    const q = format === 'jpeg'
+      ? Math.max(accepted.get(contentType) ?? 0, accepted.get('image/*') ?? 0, accepted.get('*/*') ?? 0)
+      : accepted.get(contentType) ?? 0;
+
+    if (q > bestQ) {
+      best = format;
+      bestQ = q;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Convierte el query string en opciones de transformación normalizadas.
+ * Sin parámetro format, el formato se negocia con la cabecera Accept.
+ * Lanza un error con status 400 si algún parámetro no es válido.
+ */
+export const parseTransformOptions = (query, { defaultFit = 'cover', accept } = {}) => {
+  const { size = 'medium', w, h, dpr = '1', fit = defaultFit, format } = query;
+
+  let width = parseDimension(w, 'w');
+  let height = parseDimension(h, 'h');
+
+  if (!width && !height) {
+    const namedSize = size in NAMED_SIZES ? NAMED_SIZES[size] : NAMED_SIZES.medium;
+    width = namedSize;
+    height = namedSize;
+  }
+
+  const ratio = parseFloat(dpr);
+  if (!Number.isFinite(ratio) || ratio <= 0) {
+    throw badRequest('El parámetro dpr debe ser un número positivo');
+  }
+  const scale = Math.min(ratio, MAX_DPR);
+
+  if (width) width = clampDimension(Math.round(width * scale));
+  if (height) height = clampDimension(Math.round(height * scale));
+
+  if (!FITS.includes(fit)) {
+    throw badRequest(`El parámetro fit debe ser uno de: ${FITS.join(', ')}`);
+  }
+
+  let normalizedFormat = null;
+  if (format !== undefined) {
+    normalizedFormat = normalizeFormat(format);
+    if (!normalizedFormat) {
+      throw badRequest(`El parámetro format debe ser uno de: ${Object.keys(FORMATS).join(', ')}`);
+    }
+  }
+
+  return {
+    width,
+    height,
+    fit,
+    format: normalizedFormat || negotiateFormat(accept)
+  };
+};
+
+// Sufijo de clave de caché que incluye todos los parámetros de transformación
+export const variantKey = ({ width, height, fit, format }) => {
+  return `${width || 'auto'}x${height || 'auto'}-${fit}-${format}`;
+};
+
+/**
+ * Renderiza una variante a partir de un buffer.
+ * Con passthrough (el máster WEBP almacenado), sin dimensiones y en WEBP se
+ * devuelve el archivo tal cual. Sin passthrough (un original subido), el
+ * tamaño "original" se limita a la mayor dimensión permitida.
+ */
+export const renderVariant = async (buffer, options, { passthrough = true } = {}) => {
+  const { width, height, fit, format } = options;
+
+  if (passthrough && !width && !height && format === 'webp') {
+    return { data: buffer, contentType: 'image/webp', extension: 'webp' };
+  }
+
+  let pipeline = sharp(buffer);
+
+  if (width || height) {
+    pipeline = pipeline.resize(width, height, {
+      fit,
+      withoutEnlargement: true
+    });
+  } else if (!passthrough) {
+    const maxDimension = ALLOWED_DIMENSIONS[ALLOWED_DIMENSIONS.length - 1];
+    pipeline = pipeline.resize(maxDimension, maxDimension, {
+      fit: 'inside',
+      withoutEnlargement: true
+    });
+  }
+
+  const { contentType, extension, options: encoderOptions } = FORMATS[format];
+  const data = await pipeline.toFormat(format, encoderOptions).toBuffer();
+
+  return { data, contentType, extension };
+};
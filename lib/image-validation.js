@@ -0,0 +1,133 @@
+import sharp from 'sharp';
+
+// Validación del contenido de las imágenes subidas. El MIME que envía el
+// cliente no es fiable: el formato se detecta por los bytes iniciales y la
+// imagen se decodifica entera antes de llegar al pipeline de sharp.
+
+export const ALLOWED_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif'
+};
+
+const DEFAULT_LIMITS = {
+  maxDimension: 8000,
+  maxPixels: 40_000_000,
+  animatedPolicy: 'first-frame'
+};
+
+const validationError = (status, code, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+/**
+ * Detecta el formato por su firma (magic bytes).
+ * Devuelve el nombre del formato o null si no se reconoce.
+ */
+export const sniffFormat = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return 'gif';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'webp';
+
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    if (brand === 'avif' || brand === 'avis') return 'avif';
+    if (['heic', 'heix', 'hevc', 'mif1'].includes(brand)) return 'heif';
+  }
+
+  const head = ascii(buffer, 0, 256).trimStart().toLowerCase();
+  if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) return 'svg';
+
+  return null;
+};
+
+/**
+ * Valida una imagen subida. Lanza un error con status 415 (formato no permitido)
+ * o 422 (imagen corrupta, demasiado grande o animada) y un code legible por máquina.
+ * Devuelve { format, contentType, width, height, animated }.
+ */
+export const validateImage = async (buffer, limits = {}) => {
+  const {
+    maxDimension = DEFAULT_LIMITS.maxDimension,
+    maxPixels = DEFAULT_LIMITS.maxPixels,
+    animatedPolicy = DEFAULT_LIMITS.animatedPolicy
+  } = limits;
+
+  const format = sniffFormat(buffer);
+
+  if (!format || !ALLOWED_FORMATS[format]) {
+    throw validationError(415, 'unsupported_format',
+      'Formato de imagen no permitido', {
+        detected: format,
+        allowed: Object.keys(ALLOWED_FORMATS)
+      });
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw validationError(422, 'undecodable_image', 'La imagen está dañada o no se puede leer');
+  }
+
+  const { width, height } = metadata;
+  const pages = metadata.pages || 1;
+
+  if (!width || !height) {
+    throw validationError(422, 'undecodable_image', 'La imagen está dañada o no se puede leer');
+  }
+
+  if (width > maxDimension || height > maxDimension) {
+    throw validationError(422, 'dimensions_too_large',
+      `Las dimensiones de la imagen superan el máximo de ${maxDimension}px`, {
+        width,
+        height,
+        maxDimension
+      });
+  }
+
+  // Protección contra bombas de descompresión: se mide el total de píxeles
+  // decodificados, incluyendo todos los fotogramas
+  if (width * height * pages > maxPixels) {
+    throw validationError(422, 'too_many_pixels',
+      'La imagen descomprimida es demasiado grande', {
+        pixels: width * height * pages,
+        maxPixels
+      });
+  }
+
+  if (pages > 1 && animatedPolicy === 'reject') {
+    throw validationError(422, 'animated_not_allowed',
+      'No se permiten imágenes animadas', { frames: pages });
+  }
+
+  // Decodificar el primer fotograma completo detecta archivos truncados
+  try {
+    await sharp(buffer, { limitInputPixels: maxPixels }).stats();
+  } catch (error) {
+    throw validationError(422, 'undecodable_image', 'La imagen está dañada o no se puede leer');
+  }
+
+  return {
+    format,
+    contentType: ALLOWED_FORMATS[format],
+    width,
+    height,
+    animated: pages > 1
+  };
+};
@@ -0,0 +1,14 @@
+import { parentPort } from 'worker_threads';
+import { imageTasks } from './image-tasks.js';
+import { serializeError, toBuffers } from './worker-pool.js';
+
+// Punto de entrada de los workers del pool: ejecuta la tarea pedida y
+// devuelve el resultado, o el error con su status / code
+parentPort.on('message', async ({ id, task, payload }) => {
+  try {
+    const result = await imageTasks[task](toBuffers(payload));
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({ id, error: serializeError(error) });
+  }
+});
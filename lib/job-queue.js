@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+
+// Cola de trabajos en segundo plano del proceso: las subidas que piden
+// respuesta asíncrona se encolan aquí y el cliente consulta su estado en
+// GET /api/jobs/:jobId. Como mucho `concurrency` trabajos a la vez; los
+// terminados se conservan `ttl` ms para poder consultar su resultado.
+//
+// Cada trabajo retiene sus archivos subidos hasta terminar: además de
+// `maxQueued` trabajos en espera, la cola admite como mucho `maxQueuedBytes`
+// bytes entre los trabajos en espera y en curso.
+//
+// Estados: queued -> running -> completed | failed. Los trabajos viven en
+// memoria: se pierden al reiniciar el servidor.
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_QUEUED = 100;
+const DEFAULT_MAX_QUEUED_BYTES = 256 * 1024 * 1024;
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+const queueFull = () => {
+  const error = new Error('Hay demasiados trabajos en cola, inténtalo más tarde');
+  error.status = 503;
+  error.code = 'queue_full';
+  return error;
+};
+
+/**
+ * Crea la cola. enqueue(type, run, { owner, bytes }) registra un trabajo y
+ * devuelve su estado; run({ progress }) hace el trabajo y devuelve su
+ * resultado, y puede informar del avance con progress(done, total). bytes es
+ * lo que ocupan los datos del trabajo: un trabajo que no cabe en
+ * maxQueuedBytes lanza un error con status 503 y code queue_full, salvo que
+ * la cola esté vacía. onError(error) decide qué error se guarda (por defecto
+ * message, status, code y details).
+ */
+export const createJobQueue = ({
+  concurrency = DEFAULT_CONCURRENCY,
+  maxQueued = DEFAULT_MAX_QUEUED,
+  maxQueuedBytes = DEFAULT_MAX_QUEUED_BYTES,
+  ttl = DEFAULT_TTL_MS,
+  onError = (error) => ({
+    message: error.message,
+    status: error.status || 500,
+    code: error.code,
+    details: error.details
+  })
+} = {}) => {
+  const jobs = new Map();
+  const queue = [];
+  let running = 0;
+  let heldBytes = 0;
+
+  const stats = {
+    completed: 0,
+    failed: 0
+  };
+
+  const finish = (job, fields) => {
+    // Sin la función, el trabajo terminado no retiene los archivos subidos
+    Object.assign(job, fields, { run: null, finishedAt: new Date().toISOString() });
+    stats[job.status]++;
+    running--;
+    heldBytes -= job.bytes;
+
+    const timer = setTimeout(() => jobs.delete(job.id), ttl);
+    timer.unref();
+
+    next();
+  };
+
+  const next = () => {
+    while (queue.length && running < concurrency) {
+      const job = queue.shift();
+      running++;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+
+      const progress = (done, total) => {
+        job.progress = { done, total };
+      };
+
+      Promise.resolve()
+        .then(() => job.run({ progress }))
+        .then(
+          result => finish(job, { status: 'completed', result }),
+          error => finish(job, { status: 'failed', error: onError(error) })
+        );
+    }
+  };
+
+  return {
+    enqueue(type, run, { owner = null, bytes = 0 } = {}) {
+      if (queue.length >= maxQueued) {
+        throw queueFull();
+      }
+      if (heldBytes > 0 && heldBytes + bytes > maxQueuedBytes) {
+        throw queueFull();
+      }
+
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        owner,
+        status: 'queued',
+        progress: null,
+        result: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        bytes,
+        run
+      };
+
+      heldBytes += bytes;
+      jobs.set(job.id, job);
+      queue.push(job);
+      next();
+      return job;
+    },
+
+    get(id) {
+      return jobs.get(id) || null;
+    },
+
+    stats() {
+      return {
+        ...stats,
+        concurrency,
+        running,
+        queued: queue.length,
+        queuedBytes: heldBytes,
+        maxQueuedBytes,
+        retained: jobs.size
+      };
+    }
+  };
+};
+
+// Estado público de un trabajo (sin la función, el propietario ni su tamaño)
+export const jobSummary = ({ run, owner, bytes, ...job }) => job;
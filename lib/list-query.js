@@ -0,0 +1,45 @@
+// Parámetros comunes de los listados paginados (page, perPage, sort), con
+// errores status 400 para valores inválidos.
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const parsePositiveInt = (value, name, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  if (!/^\d+$/.test(String(value)) || parseInt(value, 10) < 1) {
+    throw badRequest(`El parámetro ${name} debe ser un entero positivo`);
+  }
+  return parseInt(value, 10);
+};
+
+/**
+ * Lee page y perPage de la query: enteros positivos, perPage como mucho
+ * maxPerPage.
+ */
+export const parsePagination = (query, { defaultPerPage, maxPerPage }) => {
+  const page = parsePositiveInt(query.page, 'page', 1);
+  const perPage = parsePositiveInt(query.perPage, 'perPage', defaultPerPage);
+  if (perPage > maxPerPage) {
+    throw badRequest(`perPage no puede ser mayor que ${maxPerPage}`);
+  }
+  return { page, perPage };
+};
+
+/**
+ * Valida un orden de PocketBase ("-created,name") contra los campos
+ * permitidos; sin valor devuelve fallback.
+ */
+export const parseSort = (value, fields, fallback) => {
+  if (value === undefined || value === '') return fallback;
+
+  const parts = String(value).split(',').map(part => part.trim());
+  for (const part of parts) {
+    if (!fields.includes(part.replace(/^[-+]/, ''))) {
+      throw badRequest(`sort admite: ${fields.join(', ')} (con - para orden descendente)`);
+    }
+  }
+  return parts.join(',');
+};
@@ -0,0 +1,217 @@
+import { createPocketBaseClient } from './pocketbase-clients.js';
+import { signAccessToken, verifyAccessToken } from './auth-tokens.js';
+
+// Inicio de sesión con OAuth2 / OpenID Connect. Los proveedores (Google,
+// Microsoft, OIDC genérico de la empresa...) se configuran en PocketBase, que
+// intercambia el código con PKCE y crea el usuario o lo enlaza con el
+// existente del mismo email. Aquí se guarda el estado del flujo entre el
+// inicio y el callback y se abre la sesión de la API.
+
+export const OAUTH_STATE_COOKIE = 'oauth_state';
+
+// Vida del flujo entre el inicio y el callback
+const FLOW_TTL_SECONDS = 10 * 60;
+
+const DOWNLOAD_TIMEOUT_MS = 10_000;
+
+const fileTooLarge = () => {
+  const error = new Error('La imagen supera el tamaño máximo permitido');
+  error.status = 413;
+  error.code = 'file_too_large';
+  return error;
+};
+
+export const readCookie = (req, name) => {
+  for (const cookie of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = cookie.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+/**
+ * Descarga una imagen remota (la foto de perfil del proveedor) sin pasar de
+ * maxBytes: se rechaza antes de leerla si Content-Length ya lo supera y, si
+ * no, la descarga se corta en cuanto los bytes recibidos lo superan. Lanza un
+ * error con status 413 y code file_too_large en ambos casos.
+ */
+export const downloadImage = async (url, { maxBytes, timeout = DOWNLOAD_TIMEOUT_MS }) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`No se pudo descargar la imagen (${response.status})`);
+    }
+
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+      throw fileTooLarge();
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        throw fileTooLarge();
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks, size);
+  } finally {
+    // Cierra la conexión si la descarga no terminó
+    clearTimeout(timer);
+    controller.abort();
+  }
+};
+
+/**
+ * Crea los handlers del flujo authorization code + PKCE:
+ *   providers -> lista los proveedores habilitados en PocketBase
+ *   start     -> guarda state y code_verifier en una cookie firmada y
+ *                redirige al proveedor
+ *   callback  -> comprueba el state, intercambia el código en PocketBase y
+ *                vuelve a appUrl con los tokens de createSession(req, pbToken,
+ *                record) en el fragmento de la URL (no llega a servidores ni
+ *                a logs); los errores vuelven a appUrl con ?error=
+ * apiUrl es la URL pública de la API (la del callback) y providerNames los
+ * nombres para mostrar de cada proveedor. En el primer login se guardan el
+ * nombre y la foto de perfil del proveedor con importAvatar(pb, userId, url),
+ * que devuelve el registro actualizado; si falla, el usuario queda sin avatar.
+ */
+export const createOAuthHandlers = ({
+  pocketbaseUrl,
+  authTokenSecret,
+  apiUrl,
+  appUrl,
+  providerNames = {},
+  createSession,
+  importAvatar
+}) => {
+  const redirectUrl = `${apiUrl}/api/auth/oauth2/callback`;
+
+  // state y code_verifier viajan en una cookie firmada de vida corta, así
+  // el callback puede atenderlo cualquier instancia
+  const stateCookieOptions = {
+    path: '/api/auth/oauth2',
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: redirectUrl.startsWith('https:')
+  };
+
+  const listProviders = async () => {
+    const { authProviders } = await createPocketBaseClient(pocketbaseUrl)
+      .collection('users')
+      .listAuthMethods();
+    return authProviders;
+  };
+
+  return {
+    async providers(req, res) {
+      try {
+        const authProviders = await listProviders();
+
+        res.json({
+          success: true,
+          providers: authProviders.map(provider => ({
+            name: provider.name,
+            displayName: providerNames[provider.name] || provider.name,
+            startUrl: `${apiUrl}/api/auth/oauth2/${provider.name}/start`
+          }))
+        });
+      } catch (error) {
+        console.error('Error obteniendo proveedores OAuth2:', error);
+        res.status(500).json({ error: 'Error al obtener los proveedores de inicio de sesión' });
+      }
+    },
+
+    async start(req, res) {
+      try {
+        const provider = (await listProviders()).find(item => item.name === req.params.provider);
+
+        if (!provider) {
+          return res.status(404).json({ error: 'Proveedor de inicio de sesión no configurado' });
+        }
+
+        const flow = signAccessToken({
+          provider: provider.name,
+          state: provider.state,
+          codeVerifier: provider.codeVerifier
+        }, authTokenSecret, FLOW_TTL_SECONDS);
+
+        res.cookie(OAUTH_STATE_COOKIE, flow, { ...stateCookieOptions, maxAge: FLOW_TTL_SECONDS * 1000 });
+
+        // PocketBase devuelve authUrl terminada en "redirect_uri="
+        res.redirect(provider.authUrl + encodeURIComponent(redirectUrl));
+      } catch (error) {
+        console.error('Error iniciando OAuth2:', error);
+        res.status(500).json({ error: 'Error al iniciar sesión con el proveedor' });
+      }
+    },
+
+    async callback(req, res) {
+      const fail = (reason) => res.redirect(`${appUrl}/?error=${reason}`);
+
+      const flowCookie = readCookie(req, OAUTH_STATE_COOKIE);
+      res.clearCookie(OAUTH_STATE_COOKIE, stateCookieOptions);
+
+      try {
+        const { code, state, error: providerError } = req.query;
+
+        if (providerError) {
+          return fail('oauth_denied');
+        }
+
+        let flow;
+        try {
+          flow = verifyAccessToken(flowCookie, authTokenSecret);
+        } catch (error) {
+          return fail('oauth_expired');
+        }
+
+        if (!code || state !== flow.state) {
+          return fail('oauth_invalid_state');
+        }
+
+        const client = createPocketBaseClient(pocketbaseUrl);
+        const authData = await client.collection('users').authWithOAuth2Code(
+          flow.provider,
+          code,
+          flow.codeVerifier,
+          redirectUrl,
+          { emailVisibility: false }
+        );
+
+        if (authData.meta?.isNew) {
+          const userId = authData.record.id;
+
+          if (authData.meta.name && !authData.record.name) {
+            authData.record = await client.collection('users').update(userId, { name: authData.meta.name });
+          }
+
+          if (authData.meta.avatarUrl) {
+            try {
+              authData.record = await importAvatar(client, userId, authData.meta.avatarUrl);
+            } catch (error) {
+              console.error('Error importando avatar del proveedor:', error);
+            }
+          }
+        }
+
+        const tokens = await createSession(req, client.authStore.token, authData.record);
+        const fragment = new URLSearchParams({
+          token: tokens.token,
+          refreshToken: tokens.refreshToken,
+          expiresIn: String(tokens.expiresIn)
+        });
+
+        res.redirect(`${appUrl}/oauth-callback#${fragment}`);
+      } catch (error) {
+        console.error('Error en callback OAuth2:', error);
+        fail('oauth_failed');
+      }
+    }
+  };
+};
@@ -0,0 +1,76 @@
+// Roles y permisos. Los roles viven en la colección `roles` de PocketBase
+// (nombre + lista de permisos) y cada usuario tiene una relación `roles`;
+// aquí se define el catálogo de permisos que entiende la API y los roles
+// que se crean por defecto.
+
+// Permisos que comprueban las rutas con authorize(permission)
+export const PERMISSIONS = {
+  'users:list': 'Listar usuarios',
+  'users:read': 'Ver la ficha y el historial de avatar de cualquier usuario',
+  'avatars:manage': 'Subir, eliminar y restaurar el avatar de cualquier usuario',
+  'images:read': 'Consultar las imágenes administradas y sus álbumes',
+  'images:write': 'Crear, actualizar y eliminar imágenes y álbumes',
+  'masters:rerender': 'Regenerar los másters de avatares e imágenes',
+  'cache:read': 'Consultar las estadísticas de la caché',
+  'roles:manage': 'Consultar roles y asignarlos a usuarios',
+  'api-keys:manage': 'Crear, consultar y revocar API keys'
+};
+
+// Concede todos los permisos, incluidos los que se añadan en el futuro
+export const ALL_PERMISSIONS = '*';
+
+// Rol de quien no tiene ninguno asignado
+export const DEFAULT_ROLE = 'viewer';
+
+export const DEFAULT_ROLES = {
+  viewer: ['users:list'],
+  'image-editor': ['users:list', 'images:read', 'images:write'],
+  moderator: ['users:list', 'users:read', 'avatars:manage', 'images:read', 'images:write'],
+  admin: [ALL_PERMISSIONS]
+};
+
+/**
+ * Roles y permisos efectivos de un usuario cuyo registro se leyó con
+ * expand=roles. Sin roles asignados, el antiguo campo `admin` (booleano, o el
+ * texto "true" en colecciones donde era un campo de texto) equivale al rol
+ * admin para no dejar fuera a los administradores antes de migrarlos; el resto
+ * de usuarios recibe DEFAULT_ROLE.
+ */
+export const resolveAccess = (user) => {
+  const assigned = user.expand?.roles || [];
+
+  if (assigned.length) {
+    return {
+      roles: assigned.map(role => role.name),
+      permissions: [...new Set(assigned.flatMap(role => role.permissions || []))]
+    };
+  }
+
+  const role = user.admin === true || user.admin === 'true' ? 'admin' : DEFAULT_ROLE;
+  return { roles: [role], permissions: [...DEFAULT_ROLES[role]] };
+};
+
+export const isKnownPermission = (permission) => Object.hasOwn(PERMISSIONS, permission);
+
+export const hasPermission = (permissions, permission) => {
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+};
+
+/**
+ * Crea en la colección `roles` los roles por defecto que falten y devuelve
+ * sus nombres. Los existentes no se tocan: sus permisos pueden haberse
+ * editado en PocketBase. Requiere un cliente con sesión de administrador.
+ */
+export const ensureDefaultRoles = async (pb) => {
+  const existing = await pb.collection('roles').getFullList({ fields: 'name' });
+  const names = new Set(existing.map(role => role.name));
+  const created = [];
+
+  for (const [name, permissions] of Object.entries(DEFAULT_ROLES)) {
+    if (names.has(name)) continue;
+    await pb.collection('roles').create({ name, permissions });
+    created.push(name);
+  }
+
+  return created;
+};
@@ -0,0 +1,43 @@
+import PocketBase from 'pocketbase';
+
+// Clientes de PocketBase. El authStore de un cliente es estado mutable, así que
+// un mismo cliente nunca se comparte entre peticiones con identidades distintas:
+// cada petición autenticada crea el suyo y las lecturas privilegiadas usan una
+// cuenta de servicio.
+
+/**
+ * Crea un cliente nuevo, sin sesión. La cancelación automática del SDK se
+ * desactiva: en el servidor dos peticiones iguales en paralelo son legítimas.
+ */
+export const createPocketBaseClient = (url) => {
+  const client = new PocketBase(url);
+  client.autoCancellation(false);
+  return client;
+};
+
+/**
+ * Cliente de la cuenta de servicio (admin de PocketBase), compartido por todo
+ * el proceso. get() devuelve el cliente con una sesión válida, autenticando de
+ * nuevo cuando el token ha caducado. Sin credenciales el cliente es anónimo.
+ */
+export const createServiceClient = (url, { email, password } = {}) => {
+  const client = createPocketBaseClient(url);
+  let pendingAuth = null;
+
+  const get = async () => {
+    if (!email || !password || client.authStore.isValid) {
+      return client;
+    }
+
+    // Varias peticiones a la vez comparten la misma autenticación
+    pendingAuth ||= client.admins.authWithPassword(email, password)
+      .finally(() => {
+        pendingAuth = null;
+      });
+
+    await pendingAuth;
+    return client;
+  };
+
+  return { get };
+};
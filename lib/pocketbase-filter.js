@@ -0,0 +1,14 @@
+// Construcción de filtros de PocketBase con valores de la petición. Los
+// valores siempre van entre comillas y escapados: nunca se concatenan tal cual.
+
+/**
+ * Escapa un valor para usarlo entre comillas en un filtro de PocketBase.
+ */
+export const filterValue = (value) => {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+};
+
+// Une condiciones con && (o ||), entre paréntesis para poder anidarlas
+export const allOf = (conditions) => conditions.map(condition => `(${condition})`).join(' && ');
+
+export const anyOf = (conditions) => conditions.map(condition => `(${condition})`).join(' || ');
@@ -0,0 +1,60 @@
+// Envío de correo de los flujos de PocketBase (restablecer contraseña y
+// verificar email). PocketBase envía los correos; aquí se configura su
+// transporte SMTP y los enlaces de las plantillas para que apunten a las
+// páginas del frontend en lugar de a su panel de administración.
+
+/**
+ * Lee la configuración SMTP del entorno. Devuelve null si SMTP_HOST no está
+ * definido: en ese caso se respeta lo configurado a mano en PocketBase.
+ * SMTP_HOST puede apuntar a un servidor local que capture todo el correo
+ * (Mailpit, MailHog...) en desarrollo y en pruebas.
+ */
+export const mailSettingsFromEnv = (env, { appUrl }) => {
+  if (!env.SMTP_HOST) return null;
+
+  const senderAddress = env.SMTP_SENDER_ADDRESS || 'no-reply@example.com';
+
+  return {
+    meta: {
+      appName: env.SMTP_SENDER_NAME || 'Avatar System',
+      appUrl,
+      senderName: env.SMTP_SENDER_NAME || 'Avatar System',
+      senderAddress,
+      verificationTemplate: {
+        actionUrl: '{APP_URL}/verify-email?token={TOKEN}'
+      },
+      resetPasswordTemplate: {
+        actionUrl: '{APP_URL}/reset-password?token={TOKEN}'
+      }
+    },
+    smtp: {
+      enabled: true,
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT) || 587,
+      username: env.SMTP_USERNAME || '',
+      password: env.SMTP_PASSWORD || '',
+      tls: env.SMTP_TLS === 'true'
+    }
+  };
+};
+
+/**
+ * Aplica la configuración en PocketBase. Requiere un cliente con sesión de
+ * administrador (la cuenta de servicio).
+ */
+export const configurePocketBaseMail = async (pb, settings) => {
+  await pb.settings.update(settings);
+};
+
+/**
+ * Id del usuario de un token de PocketBase (restablecimiento, verificación).
+ * No verifica la firma: solo se usa después de que PocketBase lo haya aceptado.
+ */
+export const tokenUserId = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString());
+    return payload.id || null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,143 @@
+// Limitación de peticiones con ventana deslizante y bloqueo temporal de login.
+//
+// El estado vive en un store con esta interfaz asíncrona, de modo que el store
+// en memoria puede sustituirse por uno compartido (Redis, base de datos...) al
+// escalar a varias instancias:
+//   hit(key, windowMs, limit) -> registra un intento y devuelve { count, first, last };
+//                                con limit, no registra más de limit intentos por ventana
+//   peek(key, windowMs) -> igual, sin registrar
+//   reset(key)          -> olvida los intentos de la clave
+// first/last son las marcas de tiempo (ms) del intento más antiguo y el más
+// reciente dentro de la ventana.
+
+const tooManyRequests = (message, code, retryAfter) => {
+  const error = new Error(message);
+  error.status = 429;
+  error.code = code;
+  error.retryAfter = Math.max(1, Math.ceil(retryAfter / 1000));
+  return error;
+};
+
+/**
+ * Store en memoria del proceso: por clave, las marcas de tiempo de la ventana
+ * y la ventana más larga con que se ha consultado. Cada clave se elimina
+ * periódicamente cuando su último intento queda fuera de esa ventana.
+ */
+export const createMemoryRateLimitStore = ({ sweepInterval = 60_000 } = {}) => {
+  const hits = new Map();
+
+  const recent = (key, windowMs) => {
+    const entry = hits.get(key);
+    if (!entry) return [];
+
+    const since = Date.now() - windowMs;
+    entry.timestamps = entry.timestamps.filter(time => time > since);
+    entry.windowMs = Math.max(entry.windowMs, windowMs);
+    if (!entry.timestamps.length) hits.delete(key);
+    return entry.timestamps;
+  };
+
+  const summary = (timestamps) => ({
+    count: timestamps.length,
+    first: timestamps[0] || null,
+    last: timestamps[timestamps.length - 1] || null
+  });
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, { timestamps, windowMs }] of hits) {
+      if (timestamps[timestamps.length - 1] <= now - windowMs) hits.delete(key);
+    }
+  }, sweepInterval);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs, limit = Infinity) {
+      const timestamps = recent(key, windowMs);
+
+      // Superado el límite no hace falta seguir contando: la lista no crece
+      // mientras dure el exceso
+      if (timestamps.length < limit) {
+        timestamps.push(Date.now());
+        hits.set(key, { timestamps, windowMs: Math.max(hits.get(key)?.windowMs || 0, windowMs) });
+      }
+
+      return summary(timestamps);
+    },
+
+    async peek(key, windowMs) {
+      return summary(recent(key, windowMs));
+    },
+
+    async reset(key) {
+      hits.delete(key);
+    }
+  };
+};
+
+/**
+ * Middleware de límite por ventana deslizante. keys(req) devuelve las claves
+ * a contar (por IP, por email, por usuario...); basta con que una supere
+ * max intentos en windowMs para responder 429 con Retry-After.
+ */
+export const rateLimit = ({ store, windowMs, max, keys, message = 'Demasiadas peticiones, inténtalo más tarde' }) => {
+  return async (req, res, next) => {
+    try {
+      for (const key of keys(req).filter(Boolean)) {
+        const { count, first } = await store.hit(key, windowMs, max + 1);
+        if (count > max) {
+          throw tooManyRequests(message, 'rate_limited', first + windowMs - Date.now());
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Control de intentos fallidos de login por clave (normalmente el email):
+ * - a partir de backoffAfter fallos, espera exponencial desde el último fallo
+ *   (backoffBase, el doble, el cuádruple...)
+ * - con maxFailures fallos dentro de failureWindow, bloqueo durante lockout
+ * check() lanza un error 429 con retryAfter; fail() y succeed() actualizan el estado.
+ */
+export const createLoginGuard = ({
+  store,
+  maxFailures = 5,
+  failureWindow = 15 * 60 * 1000,
+  lockout = 15 * 60 * 1000,
+  backoffAfter = 2,
+  backoffBase = 1000
+}) => {
+  const failureKey = (key) => `login-failures:${key}`;
+
+  return {
+    async check(key) {
+      const { count, last } = await store.peek(failureKey(key), failureWindow + lockout);
+      const now = Date.now();
+
+      if (count >= maxFailures && now < last + lockout) {
+        throw tooManyRequests('Cuenta bloqueada temporalmente por demasiados intentos fallidos',
+          'account_locked', last + lockout - now);
+      }
+
+      if (count >= backoffAfter && count < maxFailures) {
+        const delay = Math.min(backoffBase * 2 ** (count - backoffAfter), lockout);
+        if (now < last + delay) {
+          throw tooManyRequests('Demasiados intentos fallidos, espera antes de reintentar',
+            'login_backoff', last + delay - now);
+        }
+      }
+    },
+
+    async fail(key) {
+      await store.hit(failureKey(key), failureWindow);
+    },
+
+    async succeed(key) {
+      await store.reset(failureKey(key));
+    }
+  };
+};
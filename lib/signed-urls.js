@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import { TRANSFORM_PARAMS } from './image-transform.js';
+
+// URLs firmadas (HMAC-SHA256) con caducidad para las rutas públicas de
+// imágenes. La firma cubre la ruta, la caducidad y los parámetros vinculados
+// en `bind`: sin bind la URL admite cualquier tamaño o formato; con bind la
+// firma fija la variante: los parámetros vinculados solo admiten los valores
+// con los que se firmó y el resto de parámetros de transformación (w, h,
+// dpr...) no se admiten.
+//   /api/admin/images/abc/file?size=small&expires=1700000000&bind=size&sig=...
+
+// off: las URLs no se firman; optional: se firman y se verifican si llevan
+// firma; required: sin firma válida no se sirve la imagen
+export const SIGNATURE_MODES = ['off', 'optional', 'required'];
+
+const forbidden = (message, code) => {
+  const error = new Error(message);
+  error.status = 403;
+  error.code = code;
+  return error;
+};
+
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const signedData = (path, expires, bind, params) => {
+  const bound = bind.map(name => `${name}=${params[name] ?? ''}`).join('&');
+  return `${path}\n${expires}\n${bound}`;
+};
+
+/**
+ * Firma una ruta. params son los parámetros de la URL (v, size...); los
+ * nombrados en bind quedan vinculados a la firma. expires en segundos epoch.
+ */
+export const signUrl = (path, { secret, expires, params = {}, bind = [] }) => {
+  const query = new URLSearchParams(params);
+  query.set('expires', String(expires));
+  if (bind.length) query.set('bind', bind.join(','));
+  query.set('sig', sign(signedData(path, expires, bind, params), secret));
+  return `${path}?${query}`;
+};
+
+/**
+ * Comprueba la firma de una petición (ruta y query de Express). Devuelve
+ * false si la URL no está firmada y true si la firma es válida; lanza un
+ * error con status 403 y code invalid_signature o signature_expired.
+ */
+export const verifySignedUrl = (path, query, secret) => {
+  const { sig, expires, bind } = query;
+  if (sig === undefined) return false;
+
+  const bound = bind ? String(bind).split(',') : [];
+  if (!/^\d+$/.test(String(expires)) || !safeEqual(sig, sign(signedData(path, expires, bound, query), secret))) {
+    throw forbidden('Firma de URL inválida', 'invalid_signature');
+  }
+
+  // Con bind, un parámetro de transformación añadido a la URL pediría otra
+  // variante que la firmada
+  const unbound = bound.length ? TRANSFORM_PARAMS.filter(name => query[name] !== undefined && !bound.includes(name)) : [];
+  if (unbound.length) {
+    throw forbidden(`La URL firmada no admite el parámetro ${unbound.join(', ')}`, 'invalid_signature');
+  }
+
+  if (Number(expires) <= Math.floor(Date.now() / 1000)) {
+    throw forbidden('La URL firmada ha caducado', 'signature_expired');
+  }
+
+  return true;
+};
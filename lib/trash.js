@@ -0,0 +1,57 @@
+import { filterValue, allOf } from './pocketbase-filter.js';
+import { parsePagination, parseSort } from './list-query.js';
+
+// Papelera de imágenes y avatares. Eliminar no borra el registro: lo marca
+// con la fecha de eliminación (deletedAt en images, avatarDeletedAt en
+// users) y los listados lo excluyen. Desde la papelera se restaura quitando
+// la marca; pasado el periodo de retención se purga de verdad.
+
+export const DEFAULT_RETENTION_DAYS = 30;
+export const DEFAULT_PER_PAGE = 20;
+export const MAX_PER_PAGE = 100;
+
+const SORT_FIELDS = ['deletedAt', 'created', 'updated'];
+
+// Fecha en el formato de PocketBase ("2024-05-02 10:00:00.000Z")
+export const pocketBaseDate = (date = new Date()) => date.toISOString().replace('T', ' ');
+
+// Filtro de los registros que siguen activos
+export const notDeleted = (field) => `${field} = ""`;
+
+// Filtro de los registros en la papelera
+export const inTrash = (field) => `${field} != ""`;
+
+/**
+ * Filtro de los registros en la papelera desde hace más de retentionMs, los
+ * que hay que purgar.
+ */
+export const expiredFilter = (field, retentionMs, now = Date.now()) => {
+  return allOf([inTrash(field), `${field} <= ${filterValue(pocketBaseDate(new Date(now - retentionMs)))}`]);
+};
+
+/**
+ * Fecha ISO en que se purgará un registro eliminado en deletedAt (fecha de
+ * PocketBase), o null si no está en la papelera.
+ */
+export const purgeDate = (deletedAt, retentionMs) => {
+  if (!deletedAt) return null;
+  return new Date(new Date(deletedAt.replace(' ', 'T')).getTime() + retentionMs).toISOString();
+};
+
+/**
+ * Traduce la query de un listado de la papelera a { page, perPage, sort,
+ * filter } para getList(). field es el campo con la fecha de eliminación;
+ * sort admite deletedAt (ese campo), created y updated, por defecto los
+ * eliminados más recientemente primero. Lanza errores con status 400.
+ */
+export const parseTrashListQuery = (query = {}, field) => {
+  const { page, perPage } = parsePagination(query, {
+    defaultPerPage: DEFAULT_PER_PAGE,
+    maxPerPage: MAX_PER_PAGE
+  });
+
+  const sort = parseSort(query.sort, SORT_FIELDS, '-deletedAt')
+    .replace(/\bdeletedAt\b/g, field);
+
+  return { page, perPage, sort, filter: inTrash(field) };
+};
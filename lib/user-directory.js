@@ -0,0 +1,81 @@
+import { filterValue, allOf, anyOf } from './pocketbase-filter.js';
+import { parsePagination, parseSort } from './list-query.js';
+import { notDeleted, inTrash } from './trash.js';
+
+// Parámetros del directorio de usuarios (GET /api/users): paginación,
+// búsqueda por nombre o email, filtro por avatar y orden, traducidos a un
+// filtro de PocketBase. Las condiciones respetan la privacidad de cada
+// usuario: sin users:read, el email oculto no se busca ni el avatar privado
+// de otro cuenta como avatar.
+
+export const DEFAULT_PER_PAGE = 20;
+export const MAX_PER_PAGE = 100;
+
+const MAX_QUERY_LENGTH = 100;
+
+// Campos por los que se puede ordenar; email solo con users:read
+const SORT_FIELDS = ['name', 'created', 'updated'];
+const PRIVILEGED_SORT_FIELDS = [...SORT_FIELDS, 'email'];
+
+export const DEFAULT_SORT = 'name';
+
+// Un avatar en la papelera cuenta como ausente
+const HAS_AVATAR = allOf(['avatar != ""', notDeleted('avatarDeletedAt')]);
+const NO_AVATAR = anyOf(['avatar = ""', inTrash('avatarDeletedAt')]);
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Traduce la query de GET /api/users a { page, perPage, filter, sort } para
+ * getList(). viewerId es el usuario que consulta (null con API key) y
+ * privileged indica si tiene users:read. Lanza errores con status 400.
+ */
+export const parseUserListQuery = (query = {}, { viewerId = null, privileged = false } = {}) => {
+  const { page, perPage } = parsePagination(query, {
+    defaultPerPage: DEFAULT_PER_PAGE,
+    maxPerPage: MAX_PER_PAGE
+  });
+
+  const sort = parseSort(query.sort, privileged ? PRIVILEGED_SORT_FIELDS : SORT_FIELDS, DEFAULT_SORT);
+
+  // Condiciones sobre quien consulta: sus propios datos siempre son visibles
+  const self = viewerId ? [`id = ${filterValue(viewerId)}`] : [];
+  const others = viewerId ? [`id != ${filterValue(viewerId)}`] : [];
+  const conditions = [];
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) {
+    if (q.length > MAX_QUERY_LENGTH) {
+      throw badRequest(`q no puede tener más de ${MAX_QUERY_LENGTH} caracteres`);
+    }
+
+    const emailMatch = `email ~ ${filterValue(q)}`;
+    conditions.push(anyOf([
+      `name ~ ${filterValue(q)}`,
+      privileged ? emailMatch : allOf([anyOf(['emailVisibility = true', ...self]), emailMatch])
+    ]));
+  }
+
+  if (query.hasAvatar !== undefined && query.hasAvatar !== '') {
+    if (query.hasAvatar !== 'true' && query.hasAvatar !== 'false') {
+      throw badRequest('hasAvatar debe ser true o false');
+    }
+
+    // Sin users:read, el avatar privado de otro usuario cuenta como ausente
+    if (query.hasAvatar === 'true') {
+      conditions.push(privileged
+        ? HAS_AVATAR
+        : allOf([HAS_AVATAR, anyOf(['avatarVisibility != "private"', ...self])]));
+    } else {
+      conditions.push(privileged
+        ? NO_AVATAR
+        : anyOf([NO_AVATAR, allOf(['avatarVisibility = "private"', ...others])]));
+    }
+  }
+
+  return { page, perPage, sort, filter: conditions.length ? allOf(conditions) : '' };
+};
@@ -0,0 +1,194 @@
+import { Worker } from 'worker_threads';
+
+// Pool de worker threads con concurrencia limitada: como mucho `size` tareas
+// a la vez, el resto espera en cola (FIFO). Así el trabajo de CPU (sharp) no
+// bloquea el event loop del servidor. Con size 0 las tareas se ejecutan en el
+// hilo principal con la misma interfaz.
+//
+// Los mensajes entre hilos se copian (structured clone): un Buffer llega como
+// Uint8Array y se convierte de vuelta a ambos lados con toBuffers().
+
+const DEFAULT_MAX_QUEUED = 1000;
+
+/**
+ * Convierte a Buffer los Uint8Array de un valor (recorre arrays y objetos
+ * planos), tal como llegan tras pasar de un hilo a otro.
+ */
+export const toBuffers = (value) => {
+  if (value instanceof Uint8Array) {
+    return Buffer.isBuffer(value) ? value : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toBuffers);
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toBuffers(item)]));
+  }
+  return value;
+};
+
+// Los Error no conservan sus propiedades propias al copiarse entre hilos
+export const serializeError = (error) => ({
+  message: error.message,
+  status: error.status,
+  code: error.code,
+  details: error.details
+});
+
+const deserializeError = ({ message, ...fields }) => {
+  const error = new Error(message);
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) error[key] = value;
+  }
+  return error;
+};
+
+const queueFull = () => {
+  const error = new Error('Demasiadas imágenes en proceso, inténtalo más tarde');
+  error.status = 503;
+  error.code = 'queue_full';
+  return error;
+};
+
+/**
+ * Lee el número de workers de una variable de entorno: sin valor devuelve
+ * fallback y un valor que no sea un entero mayor o igual que 0 lanza un
+ * error (name es el nombre de la variable, para el mensaje). Un pool sin
+ * tamaño válido no ejecutaría ninguna tarea.
+ */
+export const parseWorkerCount = (value, { fallback, name }) => {
+  if (value === undefined || value === '') return fallback;
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`${name} debe ser un número entero mayor o igual que 0`);
+  }
+  return count;
+};
+
+/**
+ * Crea el pool. filename es el script de los workers (recibe { id, task,
+ * payload } y responde { id, result } o { id, error }); tasks, las mismas
+ * tareas para ejecutarlas en el hilo principal cuando size es 0. run() lanza
+ * un error con status 503 y code queue_full si hay maxQueued tareas en espera.
+ */
+export const createWorkerPool = ({ filename, tasks, size = 1, maxQueued = DEFAULT_MAX_QUEUED }) => {
+  const idle = [];
+  const workers = new Set();
+  const queue = [];
+  let nextId = 1;
+  let running = 0;
+  let closed = false;
+
+  const stats = {
+    completed: 0,
+    failed: 0,
+    restarts: 0
+  };
+
+  const settle = (job, error, result) => {
+    running--;
+    if (error) {
+      stats.failed++;
+      job.reject(error);
+    } else {
+      stats.completed++;
+      job.resolve(result);
+    }
+    dispatch();
+  };
+
+  const spawn = () => {
+    const worker = new Worker(filename);
+    worker.job = null;
+
+    worker.on('message', ({ id, result, error }) => {
+      const { job } = worker;
+      if (!job || job.id !== id) return;
+      worker.job = null;
+      idle.push(worker);
+      settle(job, error && deserializeError(error), toBuffers(result));
+    });
+
+    // Un worker caído se sustituye; su tarea en curso falla
+    worker.on('error', (error) => {
+      console.error('Error en worker de imágenes:', error);
+    });
+
+    worker.on('exit', () => {
+      workers.delete(worker);
+      const index = idle.indexOf(worker);
+      if (index !== -1) idle.splice(index, 1);
+
+      if (!closed) {
+        stats.restarts++;
+        idle.push(spawn());
+      }
+
+      if (worker.job) {
+        const { job } = worker;
+        worker.job = null;
+        settle(job, new Error('El worker de imágenes terminó inesperadamente'));
+      } else if (!closed) {
+        dispatch();
+      }
+    });
+
+    workers.add(worker);
+    return worker;
+  };
+
+  const runInline = (job) => {
+    Promise.resolve()
+      .then(() => tasks[job.task](toBuffers(job.payload)))
+      .then(result => settle(job, null, result), error => settle(job, error));
+  };
+
+  const dispatch = () => {
+    while (queue.length && running < Math.max(size, 1)) {
+      const job = queue.shift();
+      running++;
+
+      if (size === 0) {
+        runInline(job);
+        continue;
+      }
+
+      const worker = idle.pop();
+      worker.job = job;
+      worker.postMessage({ id: job.id, task: job.task, payload: job.payload });
+    }
+  };
+
+  for (let index = 0; index < size; index++) {
+    idle.push(spawn());
+  }
+
+  return {
+    // Ejecuta una tarea y devuelve su resultado
+    run(task, payload) {
+      if (queue.length >= maxQueued) {
+        return Promise.reject(queueFull());
+      }
+
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, task, payload, resolve, reject });
+        dispatch();
+      });
+    },
+
+    stats() {
+      return {
+        ...stats,
+        size,
+        running,
+        queued: queue.length
+      };
+    },
+
+    async close() {
+      closed = true;
+      await Promise.all([...workers].map(worker => worker.terminate()));
+    }
+  };
+};
@@ -1,9 +1,39 @@
 import express from 'express';
-import PocketBase from 'pocketbase';
 import multer from 'multer';
-import sharp from 'sharp';
+// sharp se carga en el hilo principal antes de crear los workers que lo usan
+import 'sharp';
+import os from 'os';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { createImageCache, createDiskCacheBackend } from './lib/image-cache.js';
+import { parseTransformOptions, variantKey, FORMATS, TRANSFORM_PARAMS } from './lib/image-transform.js';
+import { FALLBACK_STYLES } from './lib/default-avatar.js';
+import { parseCropOptions } from './lib/avatar-crop.js';
+import { imageTasks } from './lib/image-tasks.js';
+import { createWorkerPool, parseWorkerCount } from './lib/worker-pool.js';
+import { createJobQueue, jobSummary } from './lib/job-queue.js';
+import { createPocketBaseClient, createServiceClient } from './lib/pocketbase-clients.js';
+import { withRoles, isSessionActive, createAuthenticateToken } from './lib/authenticate.js';
+import {
+  signAccessToken,
+  createRefreshSecret,
+  formatRefreshToken,
+  parseRefreshToken,
+  refreshHashMatches
+} from './lib/auth-tokens.js';
+import { createMemoryRateLimitStore, rateLimit, createLoginGuard } from './lib/rate-limit.js';
+import { createOAuthHandlers, downloadImage } from './lib/oauth.js';
+import { mailSettingsFromEnv, configurePocketBaseMail, tokenUserId } from './lib/pocketbase-mail.js';
+import { PERMISSIONS, resolveAccess, hasPermission, ensureDefaultRoles } from './lib/permissions.js';
+import { createApiKeySecret, formatApiKey, apiKeyPrefix, parseApiKeyInput } from './lib/api-keys.js';
+import { SIGNATURE_MODES, signUrl, verifySignedUrl } from './lib/signed-urls.js';
+import { filterValue, allOf, anyOf } from './lib/pocketbase-filter.js';
+import { parseUserListQuery } from './lib/user-directory.js';
+import { parseImageFields, parseImageListQuery } from './lib/image-catalog.js';
+import { parseAlbumFields, parseImageIds, insertImages, withHiddenImages, parseAlbumListQuery } from './lib/albums.js';
+import { DEFAULT_RETENTION_DAYS, pocketBaseDate, notDeleted, expiredFilter, purgeDate, parseTrashListQuery } from './lib/trash.js';
+import { createImportStorage, parseManifest, aliasForFile, unmatchedManifestFiles } from './lib/image-import.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,22 +41,90 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const port = 3000;
 
+// Detrás de un proxy (Docker, nginx...) req.ip debe salir de X-Forwarded-For
+// para que los límites por IP funcionen: TRUST_PROXY=1 (número de saltos) o true
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Configuración de PocketBase
+// No hay cliente global: cada petición autenticada usa req.pb (con el token del
+// usuario) y las rutas públicas la cuenta de servicio (getServiceClient)
+const pocketbaseUrl = process.env.POCKETBASE_URL || 'http://localhost:8090';
+
+const serviceClient = createServiceClient(pocketbaseUrl, {
+  email: process.env.POCKETBASE_SERVICE_EMAIL,
+  password: process.env.POCKETBASE_SERVICE_PASSWORD
+});
+
+const getServiceClient = () => serviceClient.get();
 
-const pb = new PocketBase(process.env.POCKETBASE_URL || 'http://localhost:8090');
+// URL pública del frontend, destino de los enlaces de correo y de los redirects de OAuth2
+const appUrl = process.env.APP_URL || process.env.PUBLIC_API_URL || `http://localhost:${port}`;
+
+// Tamaño máximo de una imagen subida o importada
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024;
 
 // Configuración de Multer para almacenamiento en memoria
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024,
+    fileSize: MAX_UPLOAD_SIZE,
   },
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Solo se permiten archivos de imagen'), false);
+      const error = new Error('Solo se permiten archivos de imagen');
+      error.status = 415;
+      error.code = 'unsupported_format';
+      cb(error, false);
+    }
+  }
+});
+
+// Importación de imágenes en lote (POST /api/admin/images/batch): imágenes
+// sueltas en `images`, un ZIP en `archive` y un manifiesto CSV/JSON opcional
+// en `manifest`. Cada imagen suelta se limita a MAX_UPLOAD_SIZE, el ZIP y el
+// total de la petición (también el contenido descomprimido del ZIP) a
+// IMAGE_IMPORT_MAX_BYTES
+const IMAGE_IMPORT_MAX_FILES = parseInt(process.env.IMAGE_IMPORT_MAX_FILES) || 100;
+const IMAGE_IMPORT_MAX_BYTES = parseInt(process.env.IMAGE_IMPORT_MAX_BYTES) || 50 * 1024 * 1024;
+const IMAGE_IMPORT_MANIFEST_MAX_BYTES = 1024 * 1024;
+
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+const MANIFEST_TYPES = ['text/csv', 'application/json', 'text/plain', 'application/vnd.ms-excel', 'application/octet-stream'];
+
+const importUpload = multer({
+  storage: createImportStorage({
+    fieldLimits: {
+      images: MAX_UPLOAD_SIZE,
+      archive: IMAGE_IMPORT_MAX_BYTES,
+      manifest: IMAGE_IMPORT_MANIFEST_MAX_BYTES
+    },
+    maxTotalBytes: IMAGE_IMPORT_MAX_BYTES
+  }),
+  limits: {
+    files: IMAGE_IMPORT_MAX_FILES + 2
+  },
+  fileFilter: (req, file, cb) => {
+    const accepted = {
+      images: file.mimetype.startsWith('image/'),
+      archive: ZIP_TYPES.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.zip'),
+      manifest: MANIFEST_TYPES.includes(file.mimetype) || /\.(csv|json)$/i.test(file.originalname)
+    }[file.fieldname];
+
+    if (accepted) {
+      cb(null, true);
+    } else {
+      const error = new Error(file.fieldname === 'images'
+        ? 'Solo se permiten archivos de imagen'
+        : `Tipo de archivo no admitido en ${file.fieldname}`);
+      error.status = 415;
+      error.code = 'unsupported_format';
+      cb(error, false);
     }
   }
 });
@@ -45,7 +143,7 @@ app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', origin);
   }
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
   res.header('Access-Control-Allow-Credentials', 'true');
   
   if (req.method === 'OPTIONS') {
@@ -58,61 +156,627 @@ app.use((req, res, next) => {
 app.use(express.static('public'));
 app.use(express.static('frontend/dist'));
 
-// Almacén en memoria para caché de imágenes
-const imageCache = new Map();
+// Caché de imágenes procesadas (LRU en memoria + capa opcional en disco)
+const imageCache = createImageCache({
+  maxBytes: parseInt(process.env.IMAGE_CACHE_MAX_BYTES) || undefined,
+  ttl: (parseInt(process.env.IMAGE_CACHE_TTL) * 1000) || undefined,
+  backend: process.env.IMAGE_CACHE_DIR
+    ? createDiskCacheBackend(process.env.IMAGE_CACHE_DIR, {
+      maxBytes: parseInt(process.env.IMAGE_CACHE_DISK_MAX_BYTES) || undefined,
+      sweepInterval: (parseInt(process.env.IMAGE_CACHE_SWEEP_INTERVAL) * 1000) || undefined
+    })
+    : null
+});
+
+// Pool de workers para el trabajo de sharp (ver lib/worker-pool.js): por
+// defecto un worker por núcleo menos uno, hasta 4. IMAGE_WORKERS=0 procesa
+// las imágenes en el hilo principal. Un valor no válido detiene el arranque
+const imageWorkerCount = parseWorkerCount(process.env.IMAGE_WORKERS, {
+  fallback: Math.min(4, Math.max(1, os.availableParallelism() - 1)),
+  name: 'IMAGE_WORKERS'
+});
+
+const imageWorkers = createWorkerPool({
+  filename: new URL('./lib/image-worker.js', import.meta.url),
+  tasks: imageTasks,
+  size: imageWorkerCount,
+  maxQueued: parseInt(process.env.IMAGE_WORKER_MAX_QUEUED) || undefined
+});
 
 // Helper function to clear cache entries for a specific prefix
-const clearCacheByPrefix = (prefix) => {
-  for (const key of imageCache.keys()) {
-    if (key.startsWith(prefix)) {
-      imageCache.delete(key);
-    }
+const clearCacheByPrefix = (prefix) => imageCache.deleteByPrefix(prefix);
+
+// Descarga un archivo almacenado en PocketBase para un registro
+const fetchStoredFile = async (record, filename) => {
+  const fileUrl = `${pocketbaseUrl}/api/files/${record.collectionId}/${record.id}/${filename}`;
+
+  const response = await fetch(fileUrl);
+  if (!response.ok) {
+    throw new Error('No se pudo obtener la imagen de PocketBase');
   }
+
+  return Buffer.from(await response.arrayBuffer());
 };
 
-// Middleware de autenticación
-const authenticateToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ error: 'Token de autenticación requerido' });
-    }
+// Versión corta de un archivo almacenado: PocketBase genera un nombre nuevo
+// en cada subida, así que el nombre identifica el contenido
+const fileVersion = (filename) => {
+  return crypto.createHash('sha1').update(filename).digest('hex').slice(0, 12);
+};
 
-    pb.authStore.save(token, null);
-    await pb.collection('users').authRefresh();
-    
-    req.user = pb.authStore.model;
-    next();
-  } catch (error) {
-    res.status(401).json({ error: 'Token inválido o expirado' });
+// Archivo del avatar actual de un usuario, vacío si no tiene o si está en la
+// papelera (ver PAPELERA)
+const activeAvatar = (user) => (user.avatarDeletedAt ? '' : user.avatar || '');
+
+// Visibilidad del avatar de un usuario: public, authenticated o private
+const AVATAR_VISIBILITIES = ['public', 'authenticated', 'private'];
+
+const avatarVisibility = (user) => user.avatarVisibility || 'public';
+
+// Si quien hace la petición (req autenticada, o ninguna) puede ver el avatar:
+// authenticated, cualquier usuario o API key; private, el propio usuario y
+// quien tenga users:read
+const canViewAvatar = (user, req) => {
+  const visibility = avatarVisibility(user);
+  if (visibility === 'public') return true;
+  if (!req?.access) return false;
+  if (visibility === 'authenticated') return true;
+  return req.user?.id === user.id || hasPermission(req.access.permissions, 'users:read');
+};
+
+// URL de avatar versionada, cacheable de forma inmutable por los clientes.
+// Sin avatar subido la URL sirve el avatar generado, que depende del nombre.
+// Se firma si AVATAR_URL_SIGNATURES lo pide (ver URLS FIRMADAS); un avatar no
+// público solo se sirve con URL firmada, que se entrega a quien puede verlo
+const avatarPath = (user, req) => {
+  const visibility = avatarVisibility(user);
+  const source = activeAvatar(user) || `default:${user.name}`;
+  // La visibilidad forma parte de la versión: al cambiarla, los navegadores
+  // no reutilizan la imagen (o el avatar generado) cacheada con la anterior
+  const version = fileVersion(visibility === 'public' ? source : `${source}:${visibility}`);
+  const path = `/api/users/${user.id}/avatar`;
+
+  if (visibility !== 'public' && canViewAvatar(user, req)) {
+    return signedPath('required', path, { v: version });
+  }
+
+  return signedPath(avatarUrlSignatures, path, { v: version });
+};
+
+// Validadores HTTP de una variante: ETag fuerte y Last-Modified del registro
+const imageValidators = (record, filename, transform) => ({
+  etag: `"${fileVersion(filename)}-${variantKey(transform)}"`,
+  lastModified: new Date(record.updated.replace(' ', 'T')).toUTCString()
+});
+
+// Cabeceras de caché HTTP de las rutas de imágenes.
+// Devuelve true si el cliente ya tiene la variante (If-None-Match / If-Modified-Since).
+// Una URL firmada no se guarda en cachés compartidas ni más allá de su caducidad
+const setImageCacheHeaders = (req, res, { etag, lastModified }) => {
+  let cacheControl = req.query.v ? 'public, max-age=31536000, immutable' : 'public, no-cache';
+  if (req.signedUrl) {
+    cacheControl = `private, max-age=${Math.max(0, Number(req.query.expires) - Math.floor(Date.now() / 1000))}`;
+  }
+
+  res.set({
+    'Cache-Control': cacheControl,
+    'Vary': 'Accept'
+  });
+
+  if (etag) res.set('ETag', etag);
+  if (lastModified) res.set('Last-Modified', lastModified);
+
+  return req.fresh;
+};
+
+// Ajustes de codificación de los másters WEBP almacenados. Si cambian,
+// POST /api/admin/masters/rerender regenera los másters desde los originales
+const masterWebpOptions = {
+  quality: parseInt(process.env.MASTER_QUALITY) || 80,
+  effort: parseInt(process.env.MASTER_EFFORT) || 6
+};
+
+// Máster del avatar (400x400) a partir del original y su recorte
+const renderAvatarMaster = (original, cropOptions) => {
+  return imageWorkers.run('avatarMaster', { buffer: original, cropOptions, webpOptions: masterWebpOptions });
+};
+
+// Máster de una imagen de administración (máximo 800px)
+const renderImageMaster = (original) => {
+  return imageWorkers.run('imageMaster', { buffer: original, webpOptions: masterWebpOptions });
+};
+
+// Renderiza en el pool una variante que no está en caché y la guarda. Las
+// peticiones simultáneas de la misma variante comparten un solo renderizado.
+// since es imageCache.mark() tomado antes de leer el registro: si el archivo
+// cambia mientras tanto (clearCacheByPrefix), la variante vieja se sirve a
+// esta petición pero no se guarda
+const renderCachedVariant = (cacheKey, validators, since, render) => {
+  return imageCache.coalesce(cacheKey, async () => {
+    const variant = { ...await render(), ...validators };
+
+    await imageCache.set(cacheKey, variant.data, {
+      since,
+      contentType: variant.contentType,
+      etag: variant.etag,
+      lastModified: variant.lastModified
+    });
+
+    return variant;
+  });
+};
+
+// Límites de validación del contenido de las imágenes subidas
+const imageValidationLimits = {
+  maxDimension: parseInt(process.env.MAX_IMAGE_DIMENSION) || undefined,
+  maxPixels: parseInt(process.env.MAX_IMAGE_PIXELS) || undefined,
+  animatedPolicy: process.env.ANIMATED_IMAGE_POLICY || undefined
+};
+
+// Conservar el perfil ICC al sanear (el resto de metadatos se elimina siempre)
+const keepIccProfile = process.env.KEEP_ICC_PROFILE === 'true';
+
+// Valida el contenido del archivo subido, sustituye el MIME declarado
+// por el cliente por el del formato detectado y sanea la imagen: aplica
+// la orientación EXIF y elimina los metadatos (GPS, cámara, XMP...).
+// Devuelve la información de la imagen con la lista metadataRemoved
+const prepareUpload = async (file) => {
+  const { image, data, removed } = await imageWorkers.run('prepareUpload', {
+    buffer: file.buffer,
+    limits: imageValidationLimits,
+    keepIccProfile
+  });
+
+  file.buffer = data;
+  file.size = data.length;
+  file.mimetype = image.contentType;
+
+  return { ...image, metadataRemoved: removed };
+};
+
+// Errores de validación de imagen: 415 (formato) o 422 (contenido)
+const isImageValidationError = (error) => error.status === 415 || error.status === 422;
+
+const sendImageValidationError = (res, error) => {
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    details: error.details
+  });
+};
+
+// Blob con el archivo subido tal cual, para guardarlo como original
+const originalBlob = (file) => new Blob([file.buffer], { type: file.mimetype });
+
+const originalFilename = (prefix, file) => {
+  const extension = file.mimetype.split('/')[1] || 'bin';
+  return `${prefix}-original-${Date.now()}.${extension}`;
+};
+
+// =====================================
+// SESIONES
+// =====================================
+
+// Secreto de firma de los access tokens. Sin AUTH_TOKEN_SECRET se genera uno
+// aleatorio y las sesiones no sobreviven a un reinicio
+const authTokenSecret = process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_TOKEN_SECRET) {
+  console.warn('⚠️  AUTH_TOKEN_SECRET no configurado: se usa un secreto temporal');
+}
+
+// Vida del access token y del refresh token, en segundos
+const accessTokenTtl = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const refreshTokenTtl = parseInt(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60;
+
+const refreshExpiry = () => new Date(Date.now() + refreshTokenTtl * 1000).toISOString();
+
+// Tokens que se entregan al cliente para una sesión
+const sessionTokens = (session, refreshSecret) => ({
+  token: signAccessToken({ sub: session.user, sid: session.id }, authTokenSecret, accessTokenTtl),
+  refreshToken: formatRefreshToken(session.id, refreshSecret),
+  expiresIn: accessTokenTtl
+});
+
+// Crea la sesión de un login. El token de PocketBase del usuario se guarda en
+// la sesión y nunca sale del servidor
+const createSession = async (req, pbToken, user) => {
+  const pb = await getServiceClient();
+  const { secret, hash } = createRefreshSecret();
+
+  const session = await pb.collection('sessions').create({
+    user: user.id,
+    refreshHash: hash,
+    pbToken,
+    expires: refreshExpiry(),
+    revoked: false,
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip
+  });
+
+  return sessionTokens(session, secret);
+};
+
+// Revoca las sesiones activas que cumplan el filtro
+const revokeSessions = async (filter) => {
+  const pb = await getServiceClient();
+  const sessions = await pb.collection('sessions').getFullList({
+    filter: `revoked = false && ${filter}`,
+    fields: 'id'
+  });
+
+  for (const session of sessions) {
+    await pb.collection('sessions').update(session.id, { revoked: true });
+  }
+
+  return sessions.length;
+};
+
+// Datos del usuario que devuelven login y refresh
+const sessionUser = (record) => ({
+  id: record.id,
+  name: record.name,
+  email: record.email,
+  avatar: activeAvatar(record),
+  verified: record.verified || false,
+  ...resolveAccess(record)
+});
+
+// Middleware de autenticación (lib/authenticate.js): cada petición autenticada
+// usa su propio cliente de PocketBase en req.pb
+const authenticateToken = createAuthenticateToken({ pocketbaseUrl, getServiceClient, authTokenSecret });
+
+// Middleware de autorización: exige que el usuario autenticado tenga el
+// permiso indicado. Con owner(req), el propietario del recurso (normalmente
+// req.params.userId) pasa sin necesitar el permiso
+const authorize = (permission, { owner } = {}) => (req, res, next) => {
+  if (owner && req.user && req.user.id === owner(req)) {
+    return next();
+  }
+
+  if (!hasPermission(req.access.permissions, permission)) {
+    return res.status(403).json({
+      error: 'No tienes permisos para realizar esta acción',
+      code: 'forbidden',
+      permission
+    });
+  }
+
+  next();
+};
+
+const ownUser = (req) => req.params.userId;
+
+// Rutas de la sesión de una persona (perfil, logout, gestión de API keys),
+// no disponibles con API key
+const requireSession = (req, res, next) => {
+  if (!req.session) {
+    return res.status(403).json({
+      error: 'Esta ruta requiere iniciar sesión como usuario',
+      code: 'session_required'
+    });
+  }
+
+  next();
+};
+
+// Cliente con el que operar sobre los datos de un usuario: el del propio
+// usuario para lo suyo; para actuar sobre otro (ya autorizado por permiso) la
+// cuenta de servicio, porque las reglas de PocketBase solo dejan a cada
+// usuario modificar su registro
+const clientForUser = async (req, userId) => {
+  return req.user?.id === userId ? req.pb : getServiceClient();
+};
+
+// =====================================
+// LÍMITES DE PETICIONES
+// =====================================
+
+// Store en memoria del proceso; con varias instancias se sustituye por uno
+// compartido con la misma interfaz (ver lib/rate-limit.js)
+const rateLimitStore = createMemoryRateLimitStore();
+
+const seconds = (name, fallback) => (parseInt(process.env[name]) || fallback) * 1000;
+
+const normalizedEmail = (req) => {
+  const email = req.body?.email;
+  return typeof email === 'string' ? email.trim().toLowerCase() : null;
+};
+
+// Login: por IP y por email en una ventana deslizante
+const loginRateLimit = rateLimit({
+  store: rateLimitStore,
+  windowMs: seconds('LOGIN_RATE_LIMIT_WINDOW', 15 * 60),
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 20,
+  keys: (req) => [
+    `login-ip:${req.ip}`,
+    normalizedEmail(req) && `login-email:${normalizedEmail(req)}`
+  ],
+  message: 'Demasiados intentos de inicio de sesión, inténtalo más tarde'
+});
+
+// Registro: por IP y por email
+const registerRateLimit = rateLimit({
+  store: rateLimitStore,
+  windowMs: seconds('REGISTER_RATE_LIMIT_WINDOW', 60 * 60),
+  max: parseInt(process.env.REGISTER_RATE_LIMIT_MAX) || 10,
+  keys: (req) => [
+    `register-ip:${req.ip}`,
+    normalizedEmail(req) && `register-email:${normalizedEmail(req)}`
+  ],
+  message: 'Demasiados registros desde esta dirección, inténtalo más tarde'
+});
+
+// Subidas de imágenes: por usuario autenticado (va después de authenticateToken)
+const uploadRateLimit = rateLimit({
+  store: rateLimitStore,
+  windowMs: seconds('UPLOAD_RATE_LIMIT_WINDOW', 10 * 60),
+  max: parseInt(process.env.UPLOAD_RATE_LIMIT_MAX) || 30,
+  keys: (req) => [req.user ? `upload-user:${req.user.id}` : `upload-key:${req.apiKey.id}`],
+  message: 'Demasiadas subidas, inténtalo más tarde'
+});
+
+// Correos de restablecimiento y verificación: por IP y por email destinatario
+const accountEmailRateLimit = rateLimit({
+  store: rateLimitStore,
+  windowMs: seconds('ACCOUNT_EMAIL_RATE_LIMIT_WINDOW', 60 * 60),
+  max: parseInt(process.env.ACCOUNT_EMAIL_RATE_LIMIT_MAX) || 5,
+  keys: (req) => [
+    `account-email-ip:${req.ip}`,
+    normalizedEmail(req) && `account-email:${normalizedEmail(req)}`
+  ],
+  message: 'Demasiadas solicitudes de correo, inténtalo más tarde'
+});
+
+// Fallos de login por email: espera progresiva y bloqueo temporal
+const loginGuard = createLoginGuard({
+  store: rateLimitStore,
+  maxFailures: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+  failureWindow: seconds('LOGIN_FAILURE_WINDOW', 15 * 60),
+  lockout: seconds('LOGIN_LOCKOUT_DURATION', 15 * 60)
+});
+
+const sendRateLimitError = (res, error) => {
+  res.set('Retry-After', String(error.retryAfter));
+  res.status(429).json({
+    error: error.message,
+    code: error.code,
+    retryAfter: error.retryAfter
+  });
+};
+
+// =====================================
+// URLS FIRMADAS
+// =====================================
+
+// Modo de firma de las URLs de imágenes admin y de avatares (ver lib/signed-urls.js)
+const signatureMode = (name, fallback) => {
+  const mode = process.env[name] || fallback;
+  if (!SIGNATURE_MODES.includes(mode)) {
+    throw new Error(`${name} debe ser uno de: ${SIGNATURE_MODES.join(', ')}`);
+  }
+  return mode;
+};
+
+const imageUrlSignatures = signatureMode('IMAGE_URL_SIGNATURES', 'optional');
+const avatarUrlSignatures = signatureMode('AVATAR_URL_SIGNATURES', 'off');
+
+// Las rutas de avatar verifican la firma si la URL la lleva incluso en modo
+// off: los avatares no públicos siempre se sirven con URL firmada
+const avatarRouteSignatures = avatarUrlSignatures === 'off' ? 'optional' : avatarUrlSignatures;
+
+// Sin URL_SIGNING_SECRET se deriva del secreto de los access tokens
+const urlSigningSecret = process.env.URL_SIGNING_SECRET
+  || crypto.createHmac('sha256', authTokenSecret).update('signed-urls').digest('hex');
+
+const signedUrlTtl = parseInt(process.env.SIGNED_URL_TTL) || 60 * 60;
+
+// La caducidad se redondea a tramos de 5 minutos: dentro de un tramo se
+// genera la misma URL y el navegador puede reutilizar la imagen cacheada
+const signedUrlExpiry = () => {
+  const step = Math.min(signedUrlTtl, 300);
+  return Math.ceil((Math.floor(Date.now() / 1000) + signedUrlTtl) / step) * step;
+};
+
+// Ruta con sus parámetros, firmada salvo en modo off. bind son los nombres
+// de los parámetros (size, format...) que quedan fijados por la firma
+const signedPath = (mode, path, params = {}, bind = []) => {
+  if (mode === 'off') {
+    const query = new URLSearchParams(params).toString();
+    return query ? `${path}?${query}` : path;
   }
+
+  return signUrl(path, { secret: urlSigningSecret, expires: signedUrlExpiry(), params, bind });
 };
 
-// Middleware para administrar el endpoint /api/users/:userId
-// Verifica que el usuario autenticado tenga permisos sobre el userId especificado
-const authorizeUserAccess = async (req, res, next) => {
+// Verifica la firma de las rutas públicas de imágenes según el modo
+const checkUrlSignature = (mode) => (req, res, next) => {
+  if (mode === 'off') {
+    return next();
+  }
+
   try {
-    const { userId } = req.params;
-    
-    // Verificar que el userId sea válido
-    if (!userId) {
-      return res.status(400).json({ error: 'ID de usuario requerido' });
+    req.signedUrl = verifySignedUrl(req.path, req.query, urlSigningSecret);
+  } catch (error) {
+    return res.status(403).json({ error: error.message, code: error.code });
+  }
+
+  if (!req.signedUrl && mode === 'required') {
+    return res.status(403).json({ error: 'Se requiere una URL firmada', code: 'signature_required' });
+  }
+
+  next();
+};
+
+// Parámetros de transformación (size, w, h, dpr, fit, format) de una petición
+// de listado que se vinculan a las URLs firmadas
+const boundImageParams = (query) => {
+  const params = {};
+  for (const name of TRANSFORM_PARAMS) {
+    if (query[name]) params[name] = String(query[name]);
+  }
+  return params;
+};
+
+// URL del archivo de una imagen admin
+const imageFilePath = (image, params = {}) => {
+  return signedPath(imageUrlSignatures, `/api/admin/images/${image.id}/file`, params, Object.keys(params));
+};
+
+// =====================================
+// TRABAJOS EN SEGUNDO PLANO
+// =====================================
+
+// Cola de las subidas procesadas de forma asíncrona (ver lib/job-queue.js).
+// Los errores sin status son internos: el trabajo guarda un mensaje genérico
+const jobQueue = createJobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || undefined,
+  maxQueued: parseInt(process.env.JOB_MAX_QUEUED) || undefined,
+  maxQueuedBytes: parseInt(process.env.JOB_MAX_QUEUED_BYTES) || undefined,
+  ttl: (parseInt(process.env.JOB_TTL) * 1000) || undefined,
+  onError: (error) => {
+    console.error('Error en trabajo en segundo plano:', error);
+    if (!error.status) {
+      return {
+        message: 'Error interno al procesar el trabajo',
+        status: 500,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      };
     }
+    return { message: error.message, status: error.status, code: error.code, details: error.details };
+  }
+});
+
+// El cliente pide respuesta asíncrona con Prefer: respond-async (RFC 7240)
+// o con ?async=true
+const wantsAsync = (req) => {
+  return req.query.async === 'true' || /\brespond-async\b/.test(req.headers.prefer || '');
+};
+
+// Un trabajo solo lo consulta quien lo creó: el usuario o la API key
+const jobOwner = (req) => req.user ? `user:${req.user.id}` : `api-key:${req.apiKey.id}`;
+
+// Bytes subidos en la petición (req.file o req.files de multer), que el
+// trabajo retiene en memoria hasta terminar
+const uploadedBytes = (req) => {
+  const files = [req.file, ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())];
+  return files.reduce((total, file) => total + (file?.size || 0), 0);
+};
+
+// Ejecuta work({ progress }) y responde con su resultado, o, si el cliente
+// lo pide, lo encola y responde 202 con el id del trabajo y la URL de su estado.
+// Las comprobaciones baratas (campos, existencia) van antes, fuera de work
+const respondProcessed = async (req, res, type, work, { status = 200 } = {}) => {
+  if (!wantsAsync(req)) {
+    return res.status(status).json(await work({ progress: () => {} }));
+  }
+
+  const job = jobQueue.enqueue(type, work, { owner: jobOwner(req), bytes: uploadedBytes(req) });
+  const statusUrl = `/api/jobs/${job.id}`;
+
+  res.status(202).set({
+    'Location': statusUrl,
+    'Preference-Applied': 'respond-async'
+  }).json({
+    success: true,
+    message: 'Procesamiento en cola',
+    jobId: job.id,
+    status: job.status,
+    statusUrl
+  });
+};
+
+// Cola de trabajos o del pool de workers llena (503 queue_full)
+const isQueueFullError = (error) => error.code === 'queue_full';
+
+const sendQueueFullError = (res, error) => {
+  res.set('Retry-After', '5');
+  res.status(503).json({ error: error.message, code: error.code });
+};
+
+// Endpoint para consultar un trabajo: status queued, running, completed
+// (con result, el cuerpo de la respuesta síncrona) o failed (con error)
+app.get('/api/jobs/:jobId', authenticateToken, (req, res) => {
+  const job = jobQueue.get(req.params.jobId);
+
+  if (!job || job.owner !== jobOwner(req)) {
+    return res.status(404).json({ error: 'Trabajo no encontrado' });
+  }
+
+  res.json({
+    success: true,
+    job: jobSummary(job)
+  });
+});
+
+// =====================================
+// PAPELERA
+// =====================================
+
+// Eliminar una imagen o un avatar los marca con la fecha (deletedAt /
+// avatarDeletedAt, ver lib/trash.js) y desde /api/admin/trash se pueden
+// restaurar. Pasados TRASH_RETENTION_DAYS días se purgan: la imagen se borra
+// (PocketBase la quita de los álbumes) y el usuario se queda sin avatar
+const trashRetention = (parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+const trashPurgeInterval = seconds('TRASH_PURGE_INTERVAL', 60 * 60);
+
+// Fechas de eliminación y de purga de un registro en la papelera
+const trashDates = (deletedAt) => ({
+  deletedAt,
+  purgeAt: purgeDate(deletedAt, trashRetention)
+});
+
+const purgeImage = async (pb, imageId) => {
+  await pb.collection('images').delete(imageId);
+  await clearCacheByPrefix(`image-${imageId}-`);
+};
+
+const purgeAvatar = async (pb, userId) => {
+  await pb.collection('users').update(userId, {
+    'avatar': null,
+    'avatarOriginal': null,
+    'avatarCrop': null,
+    'avatarDeletedAt': ''
+  });
+  await clearCacheByPrefix(`${userId}-`);
+};
 
-    // Verificar que el usuario autenticado sea el mismo que el userId o sea admin
-    if (req.user.id !== userId && !(req.user.admin === true)) {
-      return res.status(403).json({ error: 'No tienes permisos para acceder a este recurso' });
+// Purga lo que ha cumplido el periodo de retención, con la cuenta de
+// servicio. Un fallo en un registro no detiene el resto
+const purgeExpiredTrash = async () => {
+  const pb = await getServiceClient();
+  const purged = { images: 0, avatars: 0 };
+
+  const images = await pb.collection('images').getFullList({
+    filter: expiredFilter('deletedAt', trashRetention),
+    fields: 'id'
+  });
+  for (const image of images) {
+    try {
+      await purgeImage(pb, image.id);
+      purged.images++;
+    } catch (error) {
+      console.error(`Error purgando la imagen ${image.id}:`, error);
     }
+  }
 
-    next();
-  } catch (error) {
-    res.status(500).json({ error: 'Error al verificar permisos' });
+  const users = await pb.collection('users').getFullList({
+    filter: expiredFilter('avatarDeletedAt', trashRetention),
+    fields: 'id'
+  });
+  for (const user of users) {
+    try {
+      await purgeAvatar(pb, user.id);
+      purged.avatars++;
+    } catch (error) {
+      console.error(`Error purgando el avatar de ${user.id}:`, error);
+    }
   }
+
+  return purged;
 };
 
 // Endpoint para registro de usuario
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', registerRateLimit, async (req, res) => {
   try {
     const { email, password, passwordConfirm, name } = req.body;
 
@@ -124,14 +788,24 @@ app.post('/api/auth/register', async (req, res) => {
       return res.status(400).json({ error: 'Las contraseñas no coinciden' });
     }
 
-    const user = await pb.collection('users').create({
+    // El email empieza oculto en /api/users: el usuario lo hace visible desde
+    // su panel (PUT /api/users/:userId/privacy)
+    const client = createPocketBaseClient(pocketbaseUrl);
+    const user = await client.collection('users').create({
       email,
       password,
       passwordConfirm,
       name,
-      emailVisibility: true
+      emailVisibility: false
     });
 
+    // El email de verificación no es imprescindible para completar el registro
+    try {
+      await client.collection('users').requestVerification(email);
+    } catch (error) {
+      console.error('Error enviando email de verificación:', error);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Usuario registrado exitosamente',
@@ -151,7 +825,7 @@ app.post('/api/auth/register', async (req, res) => {
 });
 
 // Endpoint para login
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', loginRateLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -159,585 +833,2195 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(400).json({ error: 'Email y contraseña son requeridos' });
     }
 
-    const authData = await pb.collection('users').authWithPassword(email, password);
+    const guardKey = normalizedEmail(req);
+    await loginGuard.check(guardKey);
+
+    let authData;
+    try {
+      authData = await createPocketBaseClient(pocketbaseUrl)
+        .collection('users')
+        .authWithPassword(email, password, {}, withRoles);
+    } catch (error) {
+      // PocketBase responde 400 a credenciales incorrectas; el resto son fallos del servicio
+      if (error.status !== 400) throw error;
+
+      await loginGuard.fail(guardKey);
+      return res.status(401).json({ 
+        error: 'Credenciales inválidas'
+      });
+    }
+
+    await loginGuard.succeed(guardKey);
+
+    const tokens = await createSession(req, authData.token, authData.record);
 
     res.json({
       success: true,
       message: 'Login exitoso',
-      token: authData.token,
-      user: {
-        id: authData.record.id,
-        name: authData.record.name,
-        email: authData.record.email,
-        avatar: authData.record.avatar,
-        admin: authData.record.admin || false
-      }
+      ...tokens,
+      user: sessionUser(authData.record)
     });
   } catch (error) {
+    if (error.status === 429) {
+      return sendRateLimitError(res, error);
+    }
     console.error('Error en login:', error);
-    res.status(401).json({ 
-      error: 'Credenciales inválidas'
-    });
+    res.status(500).json({ error: 'Error al iniciar sesión' });
   }
 });
 
-// Endpoint para logout
-app.post('/api/auth/logout', authenticateToken, (req, res) => {
-  // Token invalidation is handled by the client removing the token
-  // PocketBase tokens are stateless JWTs, so we don't need to invalidate server-side
-  res.json({
-    success: true,
-    message: 'Logout exitoso'
-  });
+// Endpoint para renovar el access token. El refresh token rota en cada uso:
+// presentar uno ya usado revoca la sesión entera (posible robo del token)
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body.refreshToken);
+
+    if (!parsed) {
+      return res.status(401).json({ error: 'Refresh token inválido', code: 'invalid_refresh_token' });
+    }
+
+    const pb = await getServiceClient();
+    let session;
+    try {
+      session = await pb.collection('sessions').getOne(parsed.sessionId);
+    } catch (error) {
+      if (error.status === 404) {
+        return res.status(401).json({ error: 'Refresh token inválido', code: 'invalid_refresh_token' });
+      }
+      throw error;
+    }
+
+    if (!isSessionActive(session)) {
+      return res.status(401).json({ error: 'La sesión ha sido cerrada', code: 'session_revoked' });
+    }
+
+    if (!refreshHashMatches(session.refreshHash, parsed.hash)) {
+      await pb.collection('sessions').update(session.id, { revoked: true });
+      return res.status(401).json({ error: 'Refresh token ya utilizado', code: 'refresh_token_reused' });
+    }
+
+    // Renovar también el token de PocketBase guardado en la sesión
+    const client = createPocketBaseClient(pocketbaseUrl);
+    client.authStore.save(session.pbToken, null);
+    try {
+      await client.collection('users').authRefresh({}, withRoles);
+    } catch (error) {
+      await pb.collection('sessions').update(session.id, { revoked: true });
+      return res.status(401).json({ error: 'La sesión ha sido cerrada', code: 'session_revoked' });
+    }
+
+    const { secret, hash } = createRefreshSecret();
+    const updatedSession = await pb.collection('sessions').update(session.id, {
+      refreshHash: hash,
+      pbToken: client.authStore.token,
+      expires: refreshExpiry()
+    });
+
+    res.json({
+      success: true,
+      ...sessionTokens(updatedSession, secret),
+      user: sessionUser(client.authStore.model)
+    });
+  } catch (error) {
+    console.error('Error renovando sesión:', error);
+    res.status(500).json({ error: 'Error al renovar la sesión' });
+  }
 });
 
-// Endpoint para verificar token
-app.get('/api/auth/me', authenticateToken, async (req, res) => {
+// Endpoint para logout: revoca la sesión actual
+app.post('/api/auth/logout', authenticateToken, requireSession, async (req, res) => {
   try {
+    await revokeSessions(`id = ${filterValue(req.session.id)}`);
+
     res.json({
       success: true,
-      user: {
-        id: req.user.id,
-        name: req.user.name,
-        email: req.user.email,
-        avatar: req.user.avatar,
-        admin: req.user.admin || false,
-        avatarUrl: req.user.avatar 
-          ? `/api/users/${req.user.id}/avatar`
-          : null
-      }
+      message: 'Logout exitoso'
     });
   } catch (error) {
-    res.status(500).json({ error: 'Error al obtener información del usuario' });
+    console.error('Error en logout:', error);
+    res.status(500).json({ error: 'Error al cerrar sesión' });
   }
 });
 
-// Endpoint para subir avatar
-app.post('/api/users/:userId/avatar', authenticateToken, upload.single('avatar'), async (req, res) => {
+// Endpoint para cerrar sesión en todos los dispositivos
+app.post('/api/auth/logout-all', authenticateToken, requireSession, async (req, res) => {
   try {
-    const { userId } = req.params;
-    
-    if (req.user.id !== userId && !req.user.admin) {
-      return res.status(403).json({ error: 'No tienes permisos para modificar este avatar' });
-    }
-
-    if (!req.file) {
-      return res.status(400).json({ error: 'No se proporcionó ninguna imagen' });
-    }
+    const revoked = await revokeSessions(`user = ${filterValue(req.user.id)}`);
 
-    // Optimizar y convertir a WEBP
-    const optimizedImage = await sharp(req.file.buffer)
-      .resize(400, 400, {
-        fit: 'cover',
-        position: 'center'
-      })
-      .webp({ 
-        quality: 80,
-        effort: 6
+    res.json({
+      success: true,
+      message: 'Sesiones cerradas en todos los dispositivos',
+      revoked
+    });
+  } catch (error) {
+    console.error('Error en logout-all:', error);
+    res.status(500).json({ error: 'Error al cerrar las sesiones' });
+  }
+});
+
+// =====================================
+// OAUTH2 / OPENID CONNECT
+// =====================================
+
+// Proveedores configurados en PocketBase; el flujo está en lib/oauth.js
+const OAUTH_PROVIDER_NAMES = {
+  google: 'Google',
+  microsoft: 'Microsoft',
+  github: 'GitHub',
+  gitlab: 'GitLab',
+  oidc: process.env.OAUTH_OIDC_DISPLAY_NAME || 'SSO'
+};
+
+const oauth = createOAuthHandlers({
+  pocketbaseUrl,
+  authTokenSecret,
+  apiUrl: process.env.PUBLIC_API_URL || `http://localhost:${port}`,
+  appUrl,
+  providerNames: OAUTH_PROVIDER_NAMES,
+  createSession,
+  importAvatar: (pb, userId, imageUrl) => importRemoteAvatar(pb, userId, imageUrl)
+});
+
+// Endpoint para listar los proveedores OAuth2 habilitados en PocketBase
+app.get('/api/auth/oauth2/providers', oauth.providers);
+
+// Endpoint que inicia el flujo authorization code + PKCE: redirige al proveedor
+app.get('/api/auth/oauth2/:provider/start', loginRateLimit, oauth.start);
+
+// Callback del proveedor. Abre la sesión y vuelve al frontend con los tokens
+// en el fragmento de la URL
+app.get('/api/auth/oauth2/callback', oauth.callback);
+
+// Endpoint para solicitar el restablecimiento de contraseña. La respuesta es
+// la misma exista o no el email, para no revelar qué cuentas existen
+app.post('/api/auth/request-password-reset', accountEmailRateLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'El email es requerido' });
+    }
+
+    await createPocketBaseClient(pocketbaseUrl).collection('users').requestPasswordReset(email);
+
+    res.json({
+      success: true,
+      message: 'Si el email está registrado, recibirás un enlace para restablecer la contraseña'
+    });
+  } catch (error) {
+    console.error('Error solicitando restablecimiento de contraseña:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'Email inválido', details: error.data });
+    }
+    res.status(500).json({ error: 'Error al solicitar el restablecimiento de contraseña' });
+  }
+});
+
+// Endpoint para confirmar el restablecimiento con el token recibido por email.
+// Las sesiones abiertas del usuario se revocan
+app.post('/api/auth/confirm-password-reset', async (req, res) => {
+  try {
+    const { token, password, passwordConfirm } = req.body;
+
+    if (!token || !password || !passwordConfirm) {
+      return res.status(400).json({ error: 'Todos los campos son requeridos' });
+    }
+
+    if (password !== passwordConfirm) {
+      return res.status(400).json({ error: 'Las contraseñas no coinciden' });
+    }
+
+    await createPocketBaseClient(pocketbaseUrl)
+      .collection('users')
+      .confirmPasswordReset(token, password, passwordConfirm);
+
+    // PocketBase invalida los tokens del usuario al cambiar la contraseña; revocar
+    // las sesiones además corta los refresh tokens. Un fallo aquí no deshace el cambio
+    const userId = tokenUserId(token);
+    if (userId) {
+      try {
+        await revokeSessions(`user = ${filterValue(userId)}`);
+      } catch (error) {
+        console.error('Error revocando sesiones tras restablecer contraseña:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente'
+    });
+  } catch (error) {
+    console.error('Error restableciendo contraseña:', error);
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'El enlace no es válido o ha caducado',
+        details: error.data
+      });
+    }
+    res.status(500).json({ error: 'Error al restablecer la contraseña' });
+  }
+});
+
+// Endpoint para (re)enviar el email de verificación
+app.post('/api/auth/request-verification', accountEmailRateLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'El email es requerido' });
+    }
+
+    await createPocketBaseClient(pocketbaseUrl).collection('users').requestVerification(email);
+
+    res.json({
+      success: true,
+      message: 'Si el email está registrado y sin verificar, recibirás un enlace de verificación'
+    });
+  } catch (error) {
+    console.error('Error solicitando verificación:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'Email inválido', details: error.data });
+    }
+    res.status(500).json({ error: 'Error al solicitar la verificación' });
+  }
+});
+
+// Endpoint para confirmar el email con el token recibido
+app.post('/api/auth/confirm-verification', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'El token es requerido' });
+    }
+
+    await createPocketBaseClient(pocketbaseUrl).collection('users').confirmVerification(token);
+
+    res.json({
+      success: true,
+      message: 'Email verificado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error confirmando verificación:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: 'El enlace no es válido o ha caducado' });
+    }
+    res.status(500).json({ error: 'Error al verificar el email' });
+  }
+});
+
+// Endpoint para verificar token
+app.get('/api/auth/me', authenticateToken, requireSession, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      user: {
+        id: req.user.id,
+        name: req.user.name,
+        email: req.user.email,
+        avatar: activeAvatar(req.user),
+        verified: req.user.verified || false,
+        avatarUrl: avatarPath(req.user, req),
+        avatarVisibility: avatarVisibility(req.user),
+        emailVisibility: req.user.emailVisibility || false,
+        ...req.access
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Error al obtener información del usuario' });
+  }
+});
+
+// Guarda como avatar del usuario un archivo ya validado (prepareUpload):
+// recorta según crop / focalPoint / position, optimiza y convierte a WEBP.
+// El original se guarda junto al máster para derivar las variantes de él
+const storeAvatar = async (pb, userId, file, cropOptions) => {
+  const optimizedImage = await renderAvatarMaster(file.buffer, cropOptions);
+
+  const formData = new FormData();
+  const blob = new Blob([optimizedImage], { type: 'image/webp' });
+  formData.append('avatar', blob, `avatar-${userId}-${Date.now()}.webp`);
+  formData.append('avatarOriginal', originalBlob(file), originalFilename(`avatar-${userId}`, file));
+  formData.append('avatarCrop', JSON.stringify(cropOptions));
+  // Un avatar nuevo sustituye al que hubiera en la papelera
+  formData.append('avatarDeletedAt', '');
+
+  const updatedUser = await pb.collection('users').update(userId, formData);
+
+  await clearCacheByPrefix(`${userId}-`);
+  await recordAvatarVersion(pb, userId, {
+    master: optimizedImage,
+    avatarFilename: updatedUser.avatar,
+    file,
+    cropOptions
+  });
+
+  return updatedUser;
+};
+
+// Importa como avatar una imagen remota (foto de perfil de un proveedor OAuth2)
+// pasando por la misma validación y saneado que una subida
+const importRemoteAvatar = async (pb, userId, imageUrl) => {
+  const buffer = await downloadImage(imageUrl, { maxBytes: MAX_UPLOAD_SIZE });
+  const file = { buffer, size: buffer.length, mimetype: 'application/octet-stream' };
+  await prepareUpload(file);
+  return storeAvatar(pb, userId, file, parseCropOptions({ position: 'attention' }));
+};
+
+// Endpoint para subir avatar
+app.post('/api/users/:userId/avatar', authenticateToken, authorize('avatars:manage', { owner: ownUser }), uploadRateLimit, upload.single('avatar'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No se proporcionó ninguna imagen' });
+    }
+
+    const cropOptions = parseCropOptions(req.body);
+    const pb = await clientForUser(req, userId);
+
+    await respondProcessed(req, res, 'avatar.upload', async () => {
+      const { metadataRemoved } = await prepareUpload(req.file);
+      const updatedUser = await storeAvatar(pb, userId, req.file, cropOptions);
+
+      return {
+        success: true,
+        message: 'Avatar actualizado exitosamente',
+        user: {
+          id: updatedUser.id,
+          avatar: updatedUser.avatar,
+          avatarUrl: avatarPath(updatedUser, req)
+        },
+        metadataRemoved
+      };
+    });
+
+  } catch (error) {
+    console.error('Error subiendo avatar:', error);
+    if (isImageValidationError(error)) {
+      return sendImageValidationError(res, error);
+    }
+    if (isQueueFullError(error)) {
+      return sendQueueFullError(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ 
+      error: 'Error interno del servidor al procesar la imagen',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Visibilidad de avatar por usuario, en memoria durante un minuto para no
+// consultar PocketBase en cada petición de avatar sin firma. Se invalida al
+// cambiarla en este proceso; con varias instancias tarda hasta un minuto
+const avatarVisibilityCache = new Map();
+const AVATAR_VISIBILITY_TTL = 60 * 1000;
+
+const getAvatarVisibility = async (userId) => {
+  const cached = avatarVisibilityCache.get(userId);
+  if (cached && cached.expires > Date.now()) {
+    return cached.visibility;
+  }
+
+  const pb = await getServiceClient();
+  const user = await pb.collection('users').getOne(userId, { fields: 'id,avatarVisibility' });
+  const visibility = avatarVisibility(user);
+  avatarVisibilityCache.set(userId, { visibility, expires: Date.now() + AVATAR_VISIBILITY_TTL });
+  return visibility;
+};
+
+// Endpoint para obtener avatar (tamaño y formato configurables)
+// Sin avatar subido se genera uno según ?fallback=initials|identicon|404
+app.get('/api/users/:userId/avatar', checkUrlSignature(avatarRouteSignatures), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { download = false, fallback = 'initials' } = req.query;
+
+    if (!FALLBACK_STYLES.includes(fallback)) {
+      return res.status(400).json({
+        error: `El parámetro fallback debe ser uno de: ${FALLBACK_STYLES.join(', ')}`
+      });
+    }
+
+    const transform = parseTransformOptions(req.query, {
+      defaultFit: 'cover',
+      accept: req.headers.accept
+    });
+    // Un avatar no público sin URL firmada se sirve como si el usuario no
+    // tuviera avatar: el generado, o 404 con fallback=404
+    const hidden = !req.signedUrl && await getAvatarVisibility(userId) !== 'public';
+
+    const since = imageCache.mark();
+    let cacheKey = `${userId}-${variantKey(transform)}`;
+    let variant = hidden ? null : await imageCache.get(cacheKey);
+    let user = null;
+
+    if (!variant) {
+      const pb = await getServiceClient();
+      user = await pb.collection('users').getOne(userId, {
+        fields: 'id,name,avatar,avatarOriginal,avatarCrop,avatarDeletedAt,collectionId,updated'
+      });
+
+      if (!activeAvatar(user) || hidden) {
+        if (fallback === '404') {
+          return res.status(404).json({ error: 'Avatar no encontrado' });
+        }
+
+        // Los avatares generados se guardan en caché aparte, por estilo y
+        // por nombre: al cambiar el nombre cambian las iniciales (o el
+        // identicon) y la clave, como la versión de la URL
+        cacheKey = `${userId}-${fallback}-${fileVersion(`${fallback}:${user.name}`)}-${variantKey(transform)}`;
+        variant = await imageCache.get(cacheKey);
+      }
+    }
+
+    const cacheStatus = variant ? (variant.source === 'disk' ? 'HIT-DISK' : 'HIT') : 'MISS';
+
+    if (!variant) {
+      const avatar = hidden ? '' : activeAvatar(user);
+      const sourceName = avatar || `${fallback}:${user.name}`;
+      const validators = imageValidators(user, sourceName, transform);
+      if (setImageCacheHeaders(req, res, validators)) {
+        return res.status(304).end();
+      }
+
+      variant = await renderCachedVariant(cacheKey, validators, since, async () => {
+        if (avatar && user.avatarOriginal) {
+          const original = await fetchStoredFile(user, user.avatarOriginal);
+          return imageWorkers.run('avatarVariant', { original, cropOptions: user.avatarCrop, transform });
+        }
+        if (avatar) {
+          const buffer = await fetchStoredFile(user, avatar);
+          return imageWorkers.run('variant', { buffer, transform, passthrough: true });
+        }
+        return imageWorkers.run('defaultAvatarVariant', {
+          user: { id: user.id, name: user.name },
+          style: fallback,
+          transform
+        });
+      });
+    } else if (setImageCacheHeaders(req, res, variant)) {
+      return res.status(304).end();
+    }
+
+    const headers = {
+      'Content-Type': variant.contentType,
+      'Content-Length': variant.data.length,
+      'X-Cache': cacheStatus,
+      'X-Image-Id': userId
+    };
+
+    if (download === 'true') {
+      headers['Content-Disposition'] = `attachment; filename="avatar-${userId}.${FORMATS[transform.format].extension}"`;
+    }
+
+    res.set(headers);
+    res.send(variant.data);
+
+  } catch (error) {
+    console.error('Error obteniendo avatar:', error);
+
+    if (isQueueFullError(error)) {
+      return sendQueueFullError(res, error);
+    }
+
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Usuario o avatar no encontrado' });
+    }
+    
+    res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// El email de un usuario se muestra si lo ha hecho visible (emailVisibility),
+// a él mismo y a quien tenga users:read
+const canSeeEmail = (user, req) => {
+  return Boolean(user.emailVisibility) || req.user?.id === user.id || hasPermission(req.access.permissions, 'users:read');
+};
+
+// Endpoint para obtener la lista de usuarios, paginada (protegido)
+// Query: page, perPage, q (nombre o email), sort, hasAvatar (ver lib/user-directory.js)
+app.get('/api/users', authenticateToken, authorize('users:list'), async (req, res) => {
+  try {
+    const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${port}`;
+    const { page, perPage, sort, filter } = parseUserListQuery(req.query, {
+      viewerId: req.user?.id,
+      privileged: hasPermission(req.access.permissions, 'users:read')
+    });
+
+    // Con la cuenta de servicio: la API decide qué emails se muestran
+    const pb = await getServiceClient();
+    const users = await pb.collection('users').getList(page, perPage, {
+      filter,
+      sort,
+      fields: 'id,name,email,emailVisibility,created,avatar,avatarVisibility,avatarDeletedAt'
+    });
+
+    // El nombre del archivo de un avatar oculto tampoco se muestra: da acceso
+    // al archivo en PocketBase
+    const usersWithAvatarUrls = users.items.map(({ emailVisibility, avatarVisibility, avatarDeletedAt, ...user }) => ({
+      ...user,
+      email: canSeeEmail({ ...user, emailVisibility }, req) ? user.email : null,
+      avatar: canViewAvatar({ ...user, avatarVisibility }, req) ? activeAvatar({ ...user, avatarDeletedAt }) : '',
+      avatarUrl: `${baseUrl}${avatarPath({ ...user, avatarVisibility, avatarDeletedAt }, req)}`
+    }));
+
+    res.json({
+      success: true,
+      users: usersWithAvatarUrls,
+      page: users.page,
+      perPage: users.perPage,
+      totalPages: users.totalPages,
+      totalItems: users.totalItems
+    });
+  } catch (error) {
+    console.error('Error obteniendo usuarios:', error);
+
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Error al obtener lista de usuarios' });
+  }
+});
+
+// Endpoint para obtener información del usuario
+app.get('/api/users/:userId', authenticateToken, authorize('users:read', { owner: ownUser }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${port}`;
+    
+    const pb = await clientForUser(req, userId);
+    const user = await pb.collection('users').getOne(userId, {
+      fields: 'id,name,email,emailVisibility,created,updated,avatar,avatarVisibility,avatarDeletedAt'
+    });
+
+    const { avatarDeletedAt, ...profile } = user;
+    const avatarUrl = `${baseUrl}${avatarPath(user, req)}`;
+
+    res.json({
+      ...profile,
+      avatar: activeAvatar(user),
+      avatarUrl
+    });
+
+  } catch (error) {
+    res.status(404).json({ error: 'Usuario no encontrado' });
+  }
+});
+
+// Endpoint para cambiar la privacidad del avatar y del email
+// Body: { avatarVisibility?: 'public'|'authenticated'|'private', emailVisibility?: boolean }
+app.put('/api/users/:userId/privacy', authenticateToken, authorize('avatars:manage', { owner: ownUser }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { avatarVisibility: visibility, emailVisibility } = req.body || {};
+    const data = {};
+
+    if (visibility !== undefined) {
+      if (!AVATAR_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({
+          error: `avatarVisibility debe ser uno de: ${AVATAR_VISIBILITIES.join(', ')}`
+        });
+      }
+      data.avatarVisibility = visibility;
+    }
+
+    if (emailVisibility !== undefined) {
+      if (typeof emailVisibility !== 'boolean') {
+        return res.status(400).json({ error: 'emailVisibility debe ser true o false' });
+      }
+      data.emailVisibility = emailVisibility;
+    }
+
+    if (!Object.keys(data).length) {
+      return res.status(400).json({ error: 'Indica avatarVisibility o emailVisibility' });
+    }
+
+    const pb = await clientForUser(req, userId);
+    const updatedUser = await pb.collection('users').update(userId, data, {
+      fields: 'id,name,avatar,avatarVisibility,emailVisibility'
+    });
+    avatarVisibilityCache.delete(userId);
+
+    res.json({
+      success: true,
+      message: 'Privacidad actualizada exitosamente',
+      avatarVisibility: avatarVisibility(updatedUser),
+      emailVisibility: Boolean(updatedUser.emailVisibility),
+      avatarUrl: avatarPath(updatedUser, req)
+    });
+
+  } catch (error) {
+    console.error('Error actualizando privacidad:', error);
+
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// Endpoint para eliminar avatar: lo mueve a la papelera (ver PAPELERA), de
+// donde se restaura con POST /api/admin/trash/avatars/:userId/restore
+app.delete('/api/users/:userId/avatar', authenticateToken, authorize('avatars:manage', { owner: ownUser }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const pb = await clientForUser(req, userId);
+    const user = await pb.collection('users').getOne(userId);
+
+    if (!activeAvatar(user)) {
+      return res.status(404).json({ error: 'El usuario no tiene avatar' });
+    }
+
+    const updatedUser = await pb.collection('users').update(userId, {
+      'avatarDeletedAt': pocketBaseDate()
+    });
+
+    await clearCacheByPrefix(`${userId}-`);
+
+    res.json({
+      success: true,
+      message: 'Avatar movido a la papelera',
+      user: {
+        ...updatedUser,
+        avatar: activeAvatar(updatedUser),
+        avatarUrl: avatarPath(updatedUser, req)
+      },
+      trash: trashDates(updatedUser.avatarDeletedAt)
+    });
+
+  } catch (error) {
+    console.error('Error eliminando avatar:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+// =====================================
+// AVATAR VERSION HISTORY
+// =====================================
+
+// Número de avatares que se conservan por usuario
+const avatarHistoryLimit = parseInt(process.env.AVATAR_HISTORY_LIMIT) || 5;
+
+// Guarda una copia del avatar recién subido (máster, original y recorte) en
+// avatar_versions y elimina las versiones que exceden el límite, con el cliente
+// de la petición. Un fallo aquí no invalida la subida.
+const recordAvatarVersion = async (pb, userId, { master, avatarFilename, file, cropOptions }) => {
+  try {
+    const formData = new FormData();
+    formData.append('user', userId);
+    formData.append('avatar', avatarFilename);
+    const blob = new Blob([master], { type: 'image/webp' });
+    formData.append('image', blob, `avatar-${userId}-${Date.now()}.webp`);
+    formData.append('original', originalBlob(file), originalFilename(`avatar-${userId}`, file));
+    formData.append('crop', JSON.stringify(cropOptions));
+
+    await pb.collection('avatar_versions').create(formData);
+
+    const versions = await pb.collection('avatar_versions').getFullList({
+      filter: `user = ${filterValue(userId)}`,
+      sort: '-created',
+      fields: 'id'
+    });
+
+    for (const version of versions.slice(avatarHistoryLimit)) {
+      await pb.collection('avatar_versions').delete(version.id);
+      await clearCacheByPrefix(`${userId}-version-${version.id}-`);
+    }
+  } catch (error) {
+    console.error('Error guardando historial de avatar:', error);
+  }
+};
+
+// List avatar versions (GET /api/users/:userId/avatar/versions)
+app.get('/api/users/:userId/avatar/versions', authenticateToken, authorize('users:read', { owner: ownUser }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${port}`;
+
+    const pb = await clientForUser(req, userId);
+    const user = await pb.collection('users').getOne(userId, {
+      fields: 'id,avatar,avatarVisibility,avatarDeletedAt'
+    });
+
+    // Las versiones de un avatar no público solo se sirven con URL firmada
+    const signatures = avatarVisibility(user) === 'public' ? avatarUrlSignatures : 'required';
+
+    const versions = await pb.collection('avatar_versions').getFullList({
+      filter: `user = ${filterValue(userId)}`,
+      sort: '-created'
+    });
+
+    res.json({
+      success: true,
+      versions: versions.map(version => {
+        const filePath = `/api/users/${userId}/avatar/versions/${version.id}/file`;
+        const v = fileVersion(version.image);
+        return {
+          id: version.id,
+          created: version.created,
+          current: Boolean(activeAvatar(user)) && version.avatar === user.avatar,
+          thumbnailUrl: `${baseUrl}${signedPath(signatures, filePath, { size: 'small', v })}`,
+          imageUrl: `${baseUrl}${signedPath(signatures, filePath, { v })}`
+        };
       })
-      .toBuffer();
+    });
+  } catch (error) {
+    console.error('Error obteniendo historial de avatar:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    res.status(500).json({ error: 'Error al obtener historial de avatar' });
+  }
+});
+
+// Get avatar version file (GET /api/users/:userId/avatar/versions/:versionId/file)
+// Public like the avatar endpoint so thumbnails can be used in <img> tags, and
+// signed under the same AVATAR_URL_SIGNATURES mode. Versions of a non-public
+// avatar are only served through a signed URL
+app.get('/api/users/:userId/avatar/versions/:versionId/file', checkUrlSignature(avatarRouteSignatures), async (req, res) => {
+  try {
+    const { userId, versionId } = req.params;
+
+    if (!req.signedUrl && await getAvatarVisibility(userId) !== 'public') {
+      return res.status(404).json({ error: 'Versión de avatar no encontrada' });
+    }
+
+    const transform = parseTransformOptions(req.query, {
+      defaultFit: 'cover',
+      accept: req.headers.accept
+    });
+    const since = imageCache.mark();
+    const cacheKey = `${userId}-version-${versionId}-${variantKey(transform)}`;
+
+    let variant = await imageCache.get(cacheKey);
+    const cacheStatus = variant ? (variant.source === 'disk' ? 'HIT-DISK' : 'HIT') : 'MISS';
+
+    if (!variant) {
+      const pb = await getServiceClient();
+      const version = await pb.collection('avatar_versions').getOne(versionId, {
+        fields: 'id,user,image,collectionId,updated'
+      });
+
+      if (version.user !== userId || !version.image) {
+        return res.status(404).json({ error: 'Versión de avatar no encontrada' });
+      }
+
+      const validators = imageValidators(version, version.image, transform);
+      if (setImageCacheHeaders(req, res, validators)) {
+        return res.status(304).end();
+      }
+
+      variant = await renderCachedVariant(cacheKey, validators, since, async () => {
+        const buffer = await fetchStoredFile(version, version.image);
+        return imageWorkers.run('variant', { buffer, transform, passthrough: true });
+      });
+    } else if (setImageCacheHeaders(req, res, variant)) {
+      return res.status(304).end();
+    }
+
+    res.set({
+      'Content-Type': variant.contentType,
+      'Content-Length': variant.data.length,
+      'X-Cache': cacheStatus
+    });
+    res.send(variant.data);
+
+  } catch (error) {
+    console.error('Error obteniendo versión de avatar:', error);
+
+    if (isQueueFullError(error)) {
+      return sendQueueFullError(res, error);
+    }
+
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Versión de avatar no encontrada' });
+    }
+
+    res.status(500).json({
+      error: 'Error interno del servidor',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Restore avatar version (POST /api/users/:userId/avatar/versions/:versionId/restore)
+app.post('/api/users/:userId/avatar/versions/:versionId/restore', authenticateToken, authorize('avatars:manage', { owner: ownUser }), async (req, res) => {
+  try {
+    const { userId, versionId } = req.params;
+
+    const pb = await clientForUser(req, userId);
+    const version = await pb.collection('avatar_versions').getOne(versionId);
+
+    if (version.user !== userId) {
+      return res.status(404).json({ error: 'Versión de avatar no encontrada' });
+    }
+
+    const imageBuffer = await fetchStoredFile(version, version.image);
+
+    const formData = new FormData();
+    const blob = new Blob([imageBuffer], { type: 'image/webp' });
+    formData.append('avatar', blob, `avatar-${userId}-${Date.now()}.webp`);
+
+    // Las versiones anteriores al almacenamiento de originales solo tienen máster
+    if (version.original) {
+      const original = await fetchStoredFile(version, version.original);
+      const extension = path.extname(version.original) || '.bin';
+      formData.append('avatarOriginal', new Blob([original]), `avatar-${userId}-original-${Date.now()}${extension}`);
+      formData.append('avatarCrop', JSON.stringify(version.crop || {}));
+    } else {
+      formData.append('avatarOriginal', '');
+      formData.append('avatarCrop', 'null');
+    }
+    formData.append('avatarDeletedAt', '');
+
+    const updatedUser = await pb.collection('users').update(userId, formData);
+
+    // La versión restaurada pasa a ser la actual
+    await pb.collection('avatar_versions').update(versionId, {
+      avatar: updatedUser.avatar
+    });
+
+    await clearCacheByPrefix(`${userId}-`);
+
+    res.json({
+      success: true,
+      message: 'Avatar restaurado exitosamente',
+      user: {
+        id: updatedUser.id,
+        avatar: updatedUser.avatar,
+        avatarUrl: avatarPath(updatedUser, req)
+      }
+    });
+  } catch (error) {
+    console.error('Error restaurando avatar:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Versión de avatar no encontrada' });
+    }
+    res.status(500).json({
+      error: 'Error al restaurar avatar',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// =====================================
+// ADMIN IMAGES CRUD ENDPOINTS
+// =====================================
+
+// Access is checked with authorize() ('images:read' / 'images:write'), so the
+// records are read and written with the service account: the images
+// collection rules only let PocketBase admins in
+
+// Appends the catalog fields from parseImageFields(); tags is a JSON field
+const appendImageFields = (formData, fields) => {
+  for (const [name, value] of Object.entries(fields)) {
+    formData.append(name, name === 'tags' ? JSON.stringify(value) : value);
+  }
+};
+
+// Creates an images record from an uploaded file: validates and sanitizes it,
+// stores the optimized WEBP master and keeps the original upload
+const createImageRecord = async (pb, { alias, file, creatorId, fields = {} }) => {
+  const { metadataRemoved } = await prepareUpload(file);
+  const optimizedImage = await renderImageMaster(file.buffer);
+
+  const formData = new FormData();
+  formData.append('alias', alias);
+  formData.append('creator_id', creatorId);
+  appendImageFields(formData, fields);
+  const blob = new Blob([optimizedImage], { type: 'image/webp' });
+  formData.append('image', blob, `image-${Date.now()}.webp`);
+  formData.append('original', originalBlob(file), originalFilename('image', file));
+
+  const image = await pb.collection('images').create(formData);
+  return { image, metadataRemoved };
+};
+
+const imageSummary = (image) => ({
+  id: image.id,
+  alias: image.alias,
+  image: image.image,
+  creator_id: image.creator_id,
+  tags: image.tags || [],
+  description: image.description || '',
+  alt_text: image.alt_text || '',
+  created: image.created
+});
+
+// Full image as returned by the list and get routes, with a signed file URL
+// for the size/format requested in the query
+const imageDetails = (image, req) => {
+  const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${port}`;
+  return {
+    ...imageSummary(image),
+    updated: image.updated,
+    imageUrl: image.image
+      ? `${baseUrl}${imageFilePath(image, boundImageParams(req.query))}`
+      : null
+  };
+};
+
+// With an API key, images are attributed to whoever created the key
+const imageCreatorId = (req) => req.user?.id || req.apiKey.createdBy;
+
+// Reads an image that isn't in the trash: trashed images answer 404, as if
+// they had been deleted. options.fields must include deletedAt
+const getActiveImage = async (pb, imageId, options) => {
+  const image = await pb.collection('images').getOne(imageId, options);
+
+  if (image.deletedAt) {
+    const error = new Error('Imagen no encontrada');
+    error.status = 404;
+    throw error;
+  }
+
+  return image;
+};
+
+// Image in the trash, with its deletion and purge dates
+const trashedImage = (image) => ({
+  ...imageSummary(image),
+  ...trashDates(image.deletedAt)
+});
+
+// Create image (POST /api/admin/images)
+app.post('/api/admin/images', authenticateToken, authorize('images:write'), uploadRateLimit, upload.single('image'), async (req, res) => {
+  try {
+    const { alias } = req.body;
+
+    if (!alias) {
+      return res.status(400).json({ error: 'El campo alias es requerido' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No se proporcionó ninguna imagen' });
+    }
+
+    const fields = parseImageFields(req.body);
+    const pb = await getServiceClient();
+
+    await respondProcessed(req, res, 'image.create', async () => {
+      const { image, metadataRemoved } = await createImageRecord(pb, {
+        alias,
+        file: req.file,
+        creatorId: imageCreatorId(req),
+        fields
+      });
+
+      return {
+        success: true,
+        message: 'Imagen creada exitosamente',
+        image: imageSummary(image),
+        metadataRemoved
+      };
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Error creando imagen:', error);
+    if (isImageValidationError(error)) {
+      return sendImageValidationError(res, error);
+    }
+    if (isQueueFullError(error)) {
+      return sendQueueFullError(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ 
+      error: 'Error al crear imagen',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Import images in bulk (POST /api/admin/images/batch)
+// Multipart fields: images (files), archive (ZIP) and manifest (CSV/JSON with
+// file,alias; a manifest.csv/manifest.json at the root of the ZIP also works).
+// Every item is processed like a single upload and reported on its own; the
+// batch counts as one request for the upload rate limit
+app.post('/api/admin/images/batch', authenticateToken, authorize('images:write'), uploadRateLimit, importUpload.fields([
+  { name: 'images', maxCount: IMAGE_IMPORT_MAX_FILES },
+  { name: 'archive', maxCount: 1 },
+  { name: 'manifest', maxCount: 1 }
+]), async (req, res) => {
+  try {
+    const [archive] = req.files?.archive || [];
+    const [manifestFile] = req.files?.manifest || [];
+    const items = (req.files?.images || []).map(file => ({ name: file.originalname, buffer: file.buffer }));
+    const results = [];
+    let manifest = manifestFile ? { name: manifestFile.originalname, buffer: manifestFile.buffer } : null;
+
+    if (archive) {
+      // Extraer el ZIP es CPU síncrona: se hace en el pool de workers
+      const zip = await imageWorkers.run('readZipArchive', {
+        buffer: archive.buffer,
+        limits: {
+          maxFiles: IMAGE_IMPORT_MAX_FILES,
+          maxFileSize: MAX_UPLOAD_SIZE,
+          maxTotalSize: IMAGE_IMPORT_MAX_BYTES
+        }
+      });
+      items.push(...zip.files);
+      results.push(...zip.skipped.map(item => ({ ...item, success: false })));
+      manifest = manifest || zip.manifest;
+    }
+
+    if (!items.length && !results.length) {
+      return res.status(400).json({ error: 'No se proporcionó ninguna imagen' });
+    }
+
+    if (items.length + results.length > IMAGE_IMPORT_MAX_FILES) {
+      return res.status(400).json({
+        error: `No se pueden importar más de ${IMAGE_IMPORT_MAX_FILES} imágenes a la vez`,
+        code: 'too_many_files'
+      });
+    }
+
+    const aliases = manifest ? parseManifest(manifest) : null;
+    const creatorId = imageCreatorId(req);
+    const pb = await getServiceClient();
+
+    await respondProcessed(req, res, 'image.import', async ({ progress }) => {
+      // One image at a time: the worker pool is shared with every other request
+      for (const [index, item] of items.entries()) {
+        progress(index, items.length);
+
+        const alias = aliasForFile(aliases, item.name);
+
+        if (item.buffer.length > MAX_UPLOAD_SIZE) {
+          results.push({
+            file: item.name,
+            alias,
+            success: false,
+            error: 'La imagen supera el tamaño máximo permitido',
+            code: 'file_too_large'
+          });
+          continue;
+        }
+
+        try {
+          const { image, metadataRemoved } = await createImageRecord(pb, {
+            alias,
+            file: { buffer: item.buffer },
+            creatorId
+          });
+          results.push({ file: item.name, alias, success: true, image: imageSummary(image), metadataRemoved });
+        } catch (error) {
+          console.error(`Error importando ${item.name}:`, error);
+          const validation = isImageValidationError(error);
+          results.push({
+            file: item.name,
+            alias,
+            success: false,
+            error: validation ? error.message : 'Error al crear imagen',
+            code: validation ? error.code : 'import_failed'
+          });
+        }
+      }
+      progress(items.length, items.length);
+
+      if (aliases) {
+        const received = [...items, ...results].map(item => item.name || item.file);
+        for (const file of unmatchedManifestFiles(aliases, received)) {
+          results.push({
+            file,
+            alias: aliases.get(file),
+            success: false,
+            error: 'El archivo del manifiesto no está en la subida',
+            code: 'file_not_found'
+          });
+        }
+      }
+
+      const created = results.filter(result => result.success).length;
+
+      return {
+        success: true,
+        message: `${created} de ${results.length} imágenes importadas`,
+        total: results.length,
+        created,
+        failed: results.length - created,
+        results
+      };
+    });
+  } catch (error) {
+    console.error('Error importando imágenes:', error);
+    if (isQueueFullError(error)) {
+      return sendQueueFullError(res, error);
+    }
+    if (error.status === 400 || error.status === 413) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({
+      error: 'Error al importar imágenes',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
 
-    const formData = new FormData();
-    const blob = new Blob([optimizedImage], { type: 'image/webp' });
-    formData.append('avatar', blob, `avatar-${userId}-${Date.now()}.webp`);
+// Get all images (GET /api/admin/images)
+// Query: page, perPage, q, tag, creator, sort (see lib/image-catalog.js)
+app.get('/api/admin/images', authenticateToken, authorize('images:read'), async (req, res) => {
+  try {
+    const { page, perPage, sort, filter } = parseImageListQuery(req.query, {
+      viewerId: imageCreatorId(req)
+    });
 
-    const updatedUser = await pb.collection('users').update(userId, formData);
+    const pb = await getServiceClient();
+    const images = await pb.collection('images').getList(page, perPage, { sort, filter });
+
+    res.json({
+      success: true,
+      images: images.items.map(image => imageDetails(image, req)),
+      page: images.page,
+      perPage: images.perPage,
+      totalPages: images.totalPages,
+      totalItems: images.totalItems
+    });
+  } catch (error) {
+    console.error('Error obteniendo imágenes:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al obtener imágenes' });
+  }
+});
+
+// Get single image (GET /api/admin/images/:imageId)
+app.get('/api/admin/images/:imageId', authenticateToken, authorize('images:read'), async (req, res) => {
+  try {
+    const { imageId } = req.params;
+
+    const pb = await getServiceClient();
+    const image = await getActiveImage(pb, imageId);
+
+    res.json({
+      success: true,
+      image: imageDetails(image, req)
+    });
+  } catch (error) {
+    console.error('Error obteniendo imagen:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Imagen no encontrada' });
+    }
+    res.status(500).json({ error: 'Error al obtener imagen' });
+  }
+});
+
+// Get image file (GET /api/admin/images/:imageId/file)
+// No Authorization header, so images can be displayed via <img> tags. Access is
+// controlled by the signed URLs that the list/get endpoints return; with
+// IMAGE_URL_SIGNATURES=required unsigned requests are rejected
+app.get('/api/admin/images/:imageId/file', checkUrlSignature(imageUrlSignatures), async (req, res) => {
+  try {
+    const { imageId } = req.params;
+
+    const transform = parseTransformOptions(req.query, {
+      defaultFit: 'inside',
+      accept: req.headers.accept
+    });
+    const since = imageCache.mark();
+    const cacheKey = `image-${imageId}-${variantKey(transform)}`;
+
+    let variant = await imageCache.get(cacheKey);
+    const cacheStatus = variant ? (variant.source === 'disk' ? 'HIT-DISK' : 'HIT') : 'MISS';
+
+    if (!variant) {
+      const pb = await getServiceClient();
+      const image = await getActiveImage(pb, imageId, {
+        fields: 'id,image,original,deletedAt,collectionId,updated'
+      });
+
+      if (!image.image) {
+        return res.status(404).json({ error: 'Archivo de imagen no encontrado' });
+      }
+
+      const validators = imageValidators(image, image.image, transform);
+      if (setImageCacheHeaders(req, res, validators)) {
+        return res.status(304).end();
+      }
+
+      // Las variantes se derivan del original si existe, no del máster de 800px
+      variant = await renderCachedVariant(cacheKey, validators, since, async () => {
+        const buffer = await fetchStoredFile(image, image.original || image.image);
+        return imageWorkers.run('variant', { buffer, transform, passthrough: !image.original });
+      });
+    } else if (setImageCacheHeaders(req, res, variant)) {
+      return res.status(304).end();
+    }
+
+    res.set({
+      'Content-Type': variant.contentType,
+      'Content-Length': variant.data.length,
+      'X-Cache': cacheStatus
+    });
+    res.send(variant.data);
+
+  } catch (error) {
+    console.error('Error obteniendo archivo de imagen:', error);
+
+    if (isQueueFullError(error)) {
+      return sendQueueFullError(res, error);
+    }
+
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Imagen no encontrada' });
+    }
+    
+    res.status(500).json({ 
+      error: 'Error interno del servidor',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update image (PUT /api/admin/images/:imageId)
+app.put('/api/admin/images/:imageId', authenticateToken, authorize('images:write'), uploadRateLimit, upload.single('image'), async (req, res) => {
+  try {
+    const { imageId } = req.params;
+    const { alias } = req.body;
+    const fields = parseImageFields(req.body);
+
+    // Verify image exists (throws 404 if not found or in the trash)
+    const pb = await getServiceClient();
+    await getActiveImage(pb, imageId);
+
+    await respondProcessed(req, res, 'image.update', async () => {
+      const formData = new FormData();
+      let metadataRemoved;
+
+      if (alias) {
+        formData.append('alias', alias);
+      }
+      appendImageFields(formData, fields);
+
+      if (req.file) {
+        ({ metadataRemoved } = await prepareUpload(req.file));
+
+        // Optimize and convert to WEBP, keeping the original upload
+        const optimizedImage = await renderImageMaster(req.file.buffer);
+
+        const blob = new Blob([optimizedImage], { type: 'image/webp' });
+        formData.append('image', blob, `image-${Date.now()}.webp`);
+        formData.append('original', originalBlob(req.file), originalFilename('image', req.file));
+
+        // Clear cache for this image
+        await clearCacheByPrefix(`image-${imageId}-`);
+      }
+
+      const updatedImage = await pb.collection('images').update(imageId, formData);
+
+      return {
+        success: true,
+        message: 'Imagen actualizada exitosamente',
+        image: {
+          ...imageSummary(updatedImage),
+          updated: updatedImage.updated
+        },
+        metadataRemoved
+      };
+    });
+  } catch (error) {
+    console.error('Error actualizando imagen:', error);
+    if (isImageValidationError(error)) {
+      return sendImageValidationError(res, error);
+    }
+    if (isQueueFullError(error)) {
+      return sendQueueFullError(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Imagen no encontrada' });
+    }
+    res.status(500).json({ 
+      error: 'Error al actualizar imagen',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Delete image (DELETE /api/admin/images/:imageId)
+// Moves the image to the trash: POST /api/admin/trash/images/:imageId/restore
+// brings it back until it's purged
+app.delete('/api/admin/images/:imageId', authenticateToken, authorize('images:write'), async (req, res) => {
+  try {
+    const { imageId } = req.params;
+
+    // Throws 404 if not found or already in the trash
+    const pb = await getServiceClient();
+    await getActiveImage(pb, imageId);
+
+    const image = await pb.collection('images').update(imageId, {
+      deletedAt: pocketBaseDate()
+    });
+
+    // Clear cache for this image
+    await clearCacheByPrefix(`image-${imageId}-`);
+
+    res.json({
+      success: true,
+      message: 'Imagen movida a la papelera',
+      image: trashedImage(image)
+    });
+  } catch (error) {
+    console.error('Error eliminando imagen:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Imagen no encontrada' });
+    }
+    res.status(500).json({ error: 'Error al eliminar imagen' });
+  }
+});
+
+// Re-render stored masters from originals (POST /api/admin/masters/rerender)
+// Run after changing MASTER_QUALITY / MASTER_EFFORT. Uses the service account,
+// since it updates records owned by every user
+app.post('/api/admin/masters/rerender', authenticateToken, authorize('masters:rerender'), async (req, res) => {
+  const result = { avatars: 0, images: 0, failed: [] };
+
+  try {
+    const pb = await getServiceClient();
+    const users = await pb.collection('users').getFullList({
+      filter: 'avatarOriginal != ""',
+      fields: 'id,collectionId,avatarOriginal,avatarCrop'
+    });
+
+    for (const user of users) {
+      try {
+        const original = await fetchStoredFile(user, user.avatarOriginal);
+        const master = await renderAvatarMaster(original, user.avatarCrop);
+
+        const formData = new FormData();
+        formData.append('avatar', new Blob([master], { type: 'image/webp' }), `avatar-${user.id}-${Date.now()}.webp`);
+        await pb.collection('users').update(user.id, formData);
+
+        await clearCacheByPrefix(`${user.id}-`);
+        result.avatars++;
+      } catch (error) {
+        console.error(`Error regenerando avatar ${user.id}:`, error);
+        result.failed.push({ collection: 'users', id: user.id, error: error.message });
+      }
+    }
+
+    const images = await pb.collection('images').getFullList({
+      filter: 'original != ""',
+      fields: 'id,collectionId,original'
+    });
+
+    for (const image of images) {
+      try {
+        const original = await fetchStoredFile(image, image.original);
+        const master = await renderImageMaster(original);
+
+        const formData = new FormData();
+        formData.append('image', new Blob([master], { type: 'image/webp' }), `image-${Date.now()}.webp`);
+        await pb.collection('images').update(image.id, formData);
+
+        await clearCacheByPrefix(`image-${image.id}-`);
+        result.images++;
+      } catch (error) {
+        console.error(`Error regenerando imagen ${image.id}:`, error);
+        result.failed.push({ collection: 'images', id: image.id, error: error.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Másters regenerados',
+      rerendered: result
+    });
+  } catch (error) {
+    console.error('Error regenerando másters:', error);
+    res.status(500).json({
+      error: 'Error al regenerar másters',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Cache, worker pool and job queue statistics (GET /api/admin/cache/stats)
+app.get('/api/admin/cache/stats', authenticateToken, authorize('cache:read'), (req, res) => {
+  res.json({
+    success: true,
+    cache: imageCache.stats(),
+    workers: imageWorkers.stats(),
+    jobs: jobQueue.stats()
+  });
+});
+
+// =====================================
+// ALBUMS
+// =====================================
+
+// Albums group admin images (see lib/albums.js). They use the same
+// permissions as images and, like images, are read and written with the
+// service account
+
+// Throws 400 image_not_found unless every id is an existing image that
+// isn't in the trash
+const ensureImagesExist = async (pb, ids) => {
+  const found = new Set();
+
+  for (let index = 0; index < ids.length; index += 50) {
+    const chunk = ids.slice(index, index + 50);
+    const records = await pb.collection('images').getFullList({
+      filter: allOf([anyOf(chunk.map(id => `id = ${filterValue(id)}`)), notDeleted('deletedAt')]),
+      fields: 'id'
+    });
+    records.forEach(record => found.add(record.id));
+  }
+
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length) {
+    const error = new Error('Alguna de las imágenes no existe');
+    error.status = 400;
+    error.code = 'image_not_found';
+    error.details = { missing };
+    throw error;
+  }
+};
+
+// Album images in album order, from a record read with expand=images.
+// Images in the trash are left out
+const albumImages = (album) => {
+  const byId = new Map((album.expand?.images || []).map(image => [image.id, image]));
+  return (album.images || []).map(id => byId.get(id)).filter(image => image && !image.deletedAt);
+};
+
+const albumSummary = (album) => ({
+  id: album.id,
+  name: album.name,
+  description: album.description || '',
+  public: Boolean(album.public),
+  imageCount: albumImages(album).length,
+  creator_id: album.creator_id,
+  created: album.created,
+  updated: album.updated
+});
+
+// Album with its images (signed URLs for the size/format in the query) and,
+// if it's public, the URL of its public endpoint
+const albumDetails = (album, req) => {
+  const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${port}`;
+  return {
+    ...albumSummary(album),
+    publicUrl: album.public ? `${baseUrl}/api/albums/${album.id}` : null,
+    images: albumImages(album).map(image => imageDetails(image, req))
+  };
+};
+
+const sendAlbumError = (res, error, fallback) => {
+  if (error.status === 400) {
+    return res.status(400).json({ error: error.message, code: error.code, details: error.details });
+  }
+  if (error.status === 404) {
+    return res.status(404).json({ error: 'Álbum no encontrado' });
+  }
+  res.status(500).json({
+    error: fallback,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// List albums (GET /api/admin/albums)
+// Query: page, perPage, q, public, sort, size/format for the cover URL
+app.get('/api/admin/albums', authenticateToken, authorize('images:read'), async (req, res) => {
+  try {
+    const { page, perPage, sort, filter } = parseAlbumListQuery(req.query);
+
+    const pb = await getServiceClient();
+    const albums = await pb.collection('albums').getList(page, perPage, { sort, filter, expand: 'images' });
+
+    res.json({
+      success: true,
+      albums: albums.items.map(album => {
+        // The first image of each album is its cover
+        const [cover] = albumImages(album);
+        return {
+          ...albumSummary(album),
+          coverUrl: cover ? imageDetails(cover, req).imageUrl : null
+        };
+      }),
+      page: albums.page,
+      perPage: albums.perPage,
+      totalPages: albums.totalPages,
+      totalItems: albums.totalItems
+    });
+  } catch (error) {
+    console.error('Error obteniendo álbumes:', error);
+    sendAlbumError(res, error, 'Error al obtener álbumes');
+  }
+});
+
+// Create album (POST /api/admin/albums)
+// Body: { name, description?, public?, imageIds? }
+app.post('/api/admin/albums', authenticateToken, authorize('images:write'), async (req, res) => {
+  try {
+    const fields = parseAlbumFields(req.body);
+    const imageIds = req.body.imageIds !== undefined ? parseImageIds(req.body.imageIds) : [];
+
+    const pb = await getServiceClient();
+    await ensureImagesExist(pb, imageIds);
+
+    const album = await pb.collection('albums').create({
+      ...fields,
+      images: imageIds,
+      creator_id: imageCreatorId(req)
+    }, { expand: 'images' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Álbum creado exitosamente',
+      album: albumDetails(album, req)
+    });
+  } catch (error) {
+    console.error('Error creando álbum:', error);
+    sendAlbumError(res, error, 'Error al crear álbum');
+  }
+});
+
+// Get album with its images in order (GET /api/admin/albums/:albumId)
+app.get('/api/admin/albums/:albumId', authenticateToken, authorize('images:read'), async (req, res) => {
+  try {
+    const pb = await getServiceClient();
+    const album = await pb.collection('albums').getOne(req.params.albumId, { expand: 'images' });
+
+    res.json({
+      success: true,
+      album: albumDetails(album, req)
+    });
+  } catch (error) {
+    console.error('Error obteniendo álbum:', error);
+    sendAlbumError(res, error, 'Error al obtener álbum');
+  }
+});
+
+// Update album (PUT /api/admin/albums/:albumId)
+// Body: { name?, description?, public? }
+app.put('/api/admin/albums/:albumId', authenticateToken, authorize('images:write'), async (req, res) => {
+  try {
+    const fields = parseAlbumFields(req.body, { partial: true });
+
+    const pb = await getServiceClient();
+    const album = await pb.collection('albums').update(req.params.albumId, fields, { expand: 'images' });
+
+    res.json({
+      success: true,
+      message: 'Álbum actualizado exitosamente',
+      album: albumDetails(album, req)
+    });
+  } catch (error) {
+    console.error('Error actualizando álbum:', error);
+    sendAlbumError(res, error, 'Error al actualizar álbum');
+  }
+});
+
+// Delete album (DELETE /api/admin/albums/:albumId)
+// The images stay; they're only removed from the album
+app.delete('/api/admin/albums/:albumId', authenticateToken, authorize('images:write'), async (req, res) => {
+  try {
+    const pb = await getServiceClient();
+    await pb.collection('albums').delete(req.params.albumId);
+
+    res.json({
+      success: true,
+      message: 'Álbum eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('Error eliminando álbum:', error);
+    sendAlbumError(res, error, 'Error al eliminar álbum');
+  }
+});
+
+// Add images to an album (POST /api/admin/albums/:albumId/images)
+// Body: { imageIds, position? }. Inserted at position (default: the end);
+// images already in the album keep their place. Positions count only the
+// images that aren't in the trash
+app.post('/api/admin/albums/:albumId/images', authenticateToken, authorize('images:write'), async (req, res) => {
+  try {
+    const imageIds = parseImageIds(req.body.imageIds);
+
+    const pb = await getServiceClient();
+    const album = await pb.collection('albums').getOne(req.params.albumId, { expand: 'images' });
+    const visible = albumImages(album).map(image => image.id);
+    const images = withHiddenImages(
+      insertImages(visible, imageIds, req.body.position ?? visible.length),
+      album.images || [],
+      visible
+    );
+
+    await ensureImagesExist(pb, imageIds.filter(id => !visible.includes(id)));
+    const updatedAlbum = await pb.collection('albums').update(album.id, { images }, { expand: 'images' });
+
+    res.json({
+      success: true,
+      message: 'Imágenes añadidas al álbum',
+      album: albumDetails(updatedAlbum, req)
+    });
+  } catch (error) {
+    console.error('Error añadiendo imágenes al álbum:', error);
+    sendAlbumError(res, error, 'Error al añadir imágenes al álbum');
+  }
+});
+
+// Set the album images and their order (PUT /api/admin/albums/:albumId/images)
+// Body: { imageIds }, the complete list in the new order. Images in the trash
+// aren't part of it: they stay in the album, at the end
+app.put('/api/admin/albums/:albumId/images', authenticateToken, authorize('images:write'), async (req, res) => {
+  try {
+    const imageIds = parseImageIds(req.body.imageIds);
+
+    const pb = await getServiceClient();
+    const album = await pb.collection('albums').getOne(req.params.albumId, { expand: 'images' });
+    const visible = albumImages(album).map(image => image.id);
+    const images = withHiddenImages(imageIds, album.images || [], visible);
+    await ensureImagesExist(pb, imageIds.filter(id => !visible.includes(id)));
+
+    const updatedAlbum = await pb.collection('albums').update(album.id, { images }, { expand: 'images' });
+
+    res.json({
+      success: true,
+      message: 'Álbum reordenado exitosamente',
+      album: albumDetails(updatedAlbum, req)
+    });
+  } catch (error) {
+    console.error('Error ordenando álbum:', error);
+    sendAlbumError(res, error, 'Error al ordenar álbum');
+  }
+});
+
+// Remove an image from an album (DELETE /api/admin/albums/:albumId/images/:imageId)
+app.delete('/api/admin/albums/:albumId/images/:imageId', authenticateToken, authorize('images:write'), async (req, res) => {
+  try {
+    const { albumId, imageId } = req.params;
+
+    const pb = await getServiceClient();
+    const album = await pb.collection('albums').getOne(albumId);
+
+    if (!(album.images || []).includes(imageId)) {
+      return res.status(404).json({ error: 'La imagen no está en el álbum' });
+    }
 
-    imageCache.delete(userId);
+    const images = album.images.filter(id => id !== imageId);
+    const updatedAlbum = await pb.collection('albums').update(albumId, { images }, { expand: 'images' });
 
     res.json({
       success: true,
-      message: 'Avatar actualizado exitosamente',
-      user: {
-        id: updatedUser.id,
-        avatar: updatedUser.avatar
-      }
+      message: 'Imagen quitada del álbum',
+      album: albumDetails(updatedAlbum, req)
     });
-
   } catch (error) {
-    console.error('Error subiendo avatar:', error);
-    res.status(500).json({ 
-      error: 'Error interno del servidor al procesar la imagen',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    console.error('Error quitando imagen del álbum:', error);
+    sendAlbumError(res, error, 'Error al quitar imagen del álbum');
   }
 });
 
-// Endpoint para obtener avatar WEBP
-app.get('/api/users/:userId/avatar', async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { size = 'medium', download = false } = req.query;
-
-    const cacheKey = `${userId}-${size}`;
-    if (imageCache.has(cacheKey)) {
-      const cached = imageCache.get(cacheKey);
-      res.set({
-        'Content-Type': 'image/webp',
-        'Content-Length': cached.length,
-        'Cache-Control': 'public, max-age=86400',
-        'X-Cache': 'HIT'
-      });
-      return res.send(cached);
-    }
-
-    const user = await pb.collection('users').getOne(userId, {
-      fields: 'id,avatar,collectionId'
-    });
+// Endpoint público de un álbum para incrustarlo en otras webs: solo álbumes
+// con public = true, sin autenticación y con CORS abierto. Las URLs de las
+// imágenes se firman como las del listado admin (size/format de la query)
+app.get('/api/albums/:albumId', async (req, res) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.removeHeader('Access-Control-Allow-Credentials');
 
-    if (!user.avatar) {
-      return res.status(404).json({ error: 'Avatar no encontrado' });
-    }
+  try {
+    const pb = await getServiceClient();
+    const album = await pb.collection('albums').getOne(req.params.albumId, { expand: 'images' });
 
-    const baseUrl = process.env.POCKETBASE_URL || 'http://localhost:8090';
-    const imageUrl = `${baseUrl}/api/files/${user.collectionId}/${user.id}/${user.avatar}`;
-    
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error('No se pudo obtener la imagen de PocketBase');
+    if (!album.public) {
+      return res.status(404).json({ error: 'Álbum no encontrado' });
     }
 
-    const imageBuffer = await response.arrayBuffer();
-    let processedImage = Buffer.from(imageBuffer);
-
-    const sizes = {
-      small: 100,
-      medium: 300,
-      large: 600,
-      original: null
-    };
-
-    const targetSize = sizes[size] || sizes.medium;
+    const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${port}`;
+    const params = boundImageParams(req.query);
 
-    if (targetSize) {
-      const sharpInstance = sharp(processedImage);
-      processedImage = await sharpInstance
-        .resize(targetSize, targetSize, {
-          fit: 'cover',
-          withoutEnlargement: true
-        })
-        .webp({ quality: 80 })
-        .toBuffer();
+    res.json({
+      success: true,
+      album: {
+        id: album.id,
+        name: album.name,
+        description: album.description || '',
+        updated: album.updated,
+        images: albumImages(album).filter(image => image.image).map(image => ({
+          id: image.id,
+          alias: image.alias,
+          alt_text: image.alt_text || '',
+          description: image.description || '',
+          url: `${baseUrl}${imageFilePath(image, params)}`
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error obteniendo álbum público:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Álbum no encontrado' });
     }
+    res.status(500).json({ error: 'Error al obtener álbum' });
+  }
+});
+
+// =====================================
+// TRASH
+// =====================================
 
-    imageCache.set(cacheKey, processedImage);
+// Deleted images and avatars wait here until they're restored or purged
+// (see PAPELERA). Listing trashed images needs images:read and restoring or
+// purging them images:write; avatars need avatars:manage, except for the
+// user's own avatar
 
-    const headers = {
-      'Content-Type': 'image/webp',
-      'Content-Length': processedImage.length,
-      'Cache-Control': 'public, max-age=86400',
-      'X-Cache': 'MISS',
-      'X-Image-Id': userId
-    };
+const trashRetentionDays = trashRetention / (24 * 60 * 60 * 1000);
 
-    if (download === 'true') {
-      headers['Content-Disposition'] = `attachment; filename="avatar-${userId}.webp"`;
-    }
+// List trashed images (GET /api/admin/trash/images)
+// Query: page, perPage, sort (deletedAt, created, updated; -deletedAt by default)
+app.get('/api/admin/trash/images', authenticateToken, authorize('images:read'), async (req, res) => {
+  try {
+    const { page, perPage, sort, filter } = parseTrashListQuery(req.query, 'deletedAt');
 
-    res.set(headers);
-    res.send(processedImage);
+    const pb = await getServiceClient();
+    const images = await pb.collection('images').getList(page, perPage, { sort, filter });
 
+    res.json({
+      success: true,
+      images: images.items.map(trashedImage),
+      retentionDays: trashRetentionDays,
+      page: images.page,
+      perPage: images.perPage,
+      totalPages: images.totalPages,
+      totalItems: images.totalItems
+    });
   } catch (error) {
-    console.error('Error obteniendo avatar:', error);
-    
-    if (error.status === 404) {
-      return res.status(404).json({ error: 'Usuario o avatar no encontrado' });
+    console.error('Error obteniendo la papelera de imágenes:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
     }
-    
-    res.status(500).json({ 
-      error: 'Error interno del servidor',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    res.status(500).json({ error: 'Error al obtener la papelera' });
   }
 });
 
-// Endpoint para obtener lista de todos los usuarios (protegido)
-app.get('/api/users', authenticateToken, async (req, res) => {
+// Reads a trashed image; 404 if it doesn't exist or isn't in the trash
+const getTrashedImage = async (pb, imageId) => {
+  const image = await pb.collection('images').getOne(imageId);
+
+  if (!image.deletedAt) {
+    const error = new Error('La imagen no está en la papelera');
+    error.status = 404;
+    throw error;
+  }
+
+  return image;
+};
+
+// Restore image (POST /api/admin/trash/images/:imageId/restore)
+// The image returns to the listings and to the albums it was in
+app.post('/api/admin/trash/images/:imageId/restore', authenticateToken, authorize('images:write'), async (req, res) => {
   try {
-    const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${port}`;
-    const users = await pb.collection('users').getFullList({
-      fields: 'id,name,email,created,avatar'
-    });
+    const { imageId } = req.params;
 
-    const usersWithAvatarUrls = users.map(user => ({
-      ...user,
-      avatarUrl: user.avatar 
-        ? `${baseUrl}/api/users/${user.id}/avatar`
-        : null
-    }));
+    const pb = await getServiceClient();
+    await getTrashedImage(pb, imageId);
+
+    const image = await pb.collection('images').update(imageId, { deletedAt: '' });
 
     res.json({
       success: true,
-      users: usersWithAvatarUrls
+      message: 'Imagen restaurada exitosamente',
+      image: imageDetails(image, req)
     });
   } catch (error) {
-    console.error('Error obteniendo usuarios:', error);
-    res.status(500).json({ error: 'Error al obtener lista de usuarios' });
+    console.error('Error restaurando imagen:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'La imagen no está en la papelera' });
+    }
+    res.status(500).json({ error: 'Error al restaurar imagen' });
   }
 });
 
-// Endpoint para obtener información del usuario
-app.get('/api/users/:userId', authenticateToken, authorizeUserAccess, async (req, res) => {
+// Purge image now (DELETE /api/admin/trash/images/:imageId)
+app.delete('/api/admin/trash/images/:imageId', authenticateToken, authorize('images:write'), async (req, res) => {
   try {
-    const { userId } = req.params;
-    const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${port}`;
-    
-    const user = await pb.collection('users').getOne(userId, {
-      fields: 'id,name,email,created,updated,avatar'
-    });
+    const { imageId } = req.params;
 
-    const avatarUrl = user.avatar 
-      ? `${baseUrl}/api/users/${userId}/avatar`
-      : null;
+    const pb = await getServiceClient();
+    await getTrashedImage(pb, imageId);
+    await purgeImage(pb, imageId);
 
     res.json({
-      ...user,
-      avatarUrl
+      success: true,
+      message: 'Imagen eliminada definitivamente'
     });
-
   } catch (error) {
-    res.status(404).json({ error: 'Usuario no encontrado' });
+    console.error('Error purgando imagen:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'La imagen no está en la papelera' });
+    }
+    res.status(500).json({ error: 'Error al eliminar imagen' });
   }
 });
 
-// Endpoint para eliminar avatar
-app.delete('/api/users/:userId/avatar', authenticateToken, async (req, res) => {
+// List trashed avatars (GET /api/admin/trash/avatars)
+// Query: page, perPage, sort (deletedAt, created, updated; -deletedAt by default)
+app.get('/api/admin/trash/avatars', authenticateToken, authorize('avatars:manage'), async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    if (req.user.id !== userId && !req.user.admin) {
-      return res.status(403).json({ error: 'No tienes permisos para eliminar este avatar' });
-    }
+    const { page, perPage, sort, filter } = parseTrashListQuery(req.query, 'avatarDeletedAt');
 
-    const updatedUser = await pb.collection('users').update(userId, {
-      'avatar': null
+    const pb = await getServiceClient();
+    const users = await pb.collection('users').getList(page, perPage, {
+      sort,
+      filter,
+      fields: 'id,name,avatarDeletedAt'
     });
 
-    clearCacheByPrefix(userId);
-
     res.json({
       success: true,
-      message: 'Avatar eliminado exitosamente',
-      user: updatedUser
+      avatars: users.items.map(user => ({
+        userId: user.id,
+        name: user.name,
+        ...trashDates(user.avatarDeletedAt)
+      })),
+      retentionDays: trashRetentionDays,
+      page: users.page,
+      perPage: users.perPage,
+      totalPages: users.totalPages,
+      totalItems: users.totalItems
     });
-
   } catch (error) {
-    console.error('Error eliminando avatar:', error);
-    res.status(500).json({ error: 'Error interno del servidor' });
+    console.error('Error obteniendo la papelera de avatares:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Error al obtener la papelera' });
   }
 });
 
-// =====================================
-// ADMIN-ONLY IMAGES CRUD ENDPOINTS
-// =====================================
+// Reads a user whose avatar is in the trash; 404 otherwise
+const getUserWithTrashedAvatar = async (pb, userId) => {
+  const user = await pb.collection('users').getOne(userId);
 
-// Middleware to check admin role
-const requireAdmin = async (req, res, next) => {
-  try {
-    // Check if user exists and has admin privileges
-    // Handle both boolean true and truthy string values
-    const isAdmin = req.user && (req.user.admin === true || req.user.admin === 'true');
-    if (!isAdmin) {
-      return res.status(403).json({ error: 'Acceso denegado. Se requiere rol de administrador.' });
-    }
-    next();
-  } catch (error) {
-    res.status(500).json({ error: 'Error al verificar permisos de administrador' });
+  if (!user.avatarDeletedAt || !user.avatar) {
+    const error = new Error('El avatar no está en la papelera');
+    error.status = 404;
+    throw error;
   }
+
+  return user;
 };
 
-// Create image (POST /api/admin/images)
-app.post('/api/admin/images', authenticateToken, requireAdmin, upload.single('image'), async (req, res) => {
+// Restore avatar (POST /api/admin/trash/avatars/:userId/restore)
+app.post('/api/admin/trash/avatars/:userId/restore', authenticateToken, authorize('avatars:manage', { owner: ownUser }), async (req, res) => {
   try {
-    const { alias } = req.body;
-
-    if (!alias) {
-      return res.status(400).json({ error: 'El campo alias es requerido' });
-    }
-
-    if (!req.file) {
-      return res.status(400).json({ error: 'No se proporcionó ninguna imagen' });
-    }
-
-    // Optimize and convert to WEBP
-    const optimizedImage = await sharp(req.file.buffer)
-      .resize(800, 800, {
-        fit: 'inside',
-        withoutEnlargement: true
-      })
-      .webp({ 
-        quality: 80,
-        effort: 6
-      })
-      .toBuffer();
+    const { userId } = req.params;
 
-    const formData = new FormData();
-    formData.append('alias', alias);
-    formData.append('creator_id', req.user.id);
-    const blob = new Blob([optimizedImage], { type: 'image/webp' });
-    formData.append('image', blob, `image-${Date.now()}.webp`);
+    const pb = await clientForUser(req, userId);
+    await getUserWithTrashedAvatar(pb, userId);
 
-    const image = await pb.collection('images').create(formData);
+    const updatedUser = await pb.collection('users').update(userId, { avatarDeletedAt: '' });
+    await clearCacheByPrefix(`${userId}-`);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Imagen creada exitosamente',
-      image: {
-        id: image.id,
-        alias: image.alias,
-        image: image.image,
-        creator_id: image.creator_id,
-        created: image.created
+      message: 'Avatar restaurado exitosamente',
+      user: {
+        id: updatedUser.id,
+        avatar: updatedUser.avatar,
+        avatarUrl: avatarPath(updatedUser, req)
       }
     });
   } catch (error) {
-    console.error('Error creando imagen:', error);
-    res.status(500).json({ 
-      error: 'Error al crear imagen',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    console.error('Error restaurando avatar de la papelera:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'El avatar no está en la papelera' });
+    }
+    res.status(500).json({ error: 'Error al restaurar avatar' });
   }
 });
 
-// Get all images (GET /api/admin/images)
-app.get('/api/admin/images', authenticateToken, requireAdmin, async (req, res) => {
+// Purge avatar now (DELETE /api/admin/trash/avatars/:userId)
+app.delete('/api/admin/trash/avatars/:userId', authenticateToken, authorize('avatars:manage', { owner: ownUser }), async (req, res) => {
   try {
-    const { page = 1, perPage = 20 } = req.query;
-    const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${port}`;
-    
-    const images = await pb.collection('images').getList(parseInt(page), parseInt(perPage), {
-      sort: '-created'
+    const { userId } = req.params;
+
+    const pb = await clientForUser(req, userId);
+    await getUserWithTrashedAvatar(pb, userId);
+    await purgeAvatar(pb, userId);
+
+    res.json({
+      success: true,
+      message: 'Avatar eliminado definitivamente'
     });
+  } catch (error) {
+    console.error('Error purgando avatar:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'El avatar no está en la papelera' });
+    }
+    res.status(500).json({ error: 'Error al eliminar avatar' });
+  }
+});
 
-    const imagesWithUrls = images.items.map(image => ({
-      id: image.id,
-      alias: image.alias,
-      image: image.image,
-      creator_id: image.creator_id,
-      created: image.created,
-      updated: image.updated,
-      imageUrl: image.image 
-        ? `${baseUrl}/api/admin/images/${image.id}/file`
-        : null
-    }));
+// =====================================
+// ROLES
+// =====================================
+
+// Roles, users and their assignments are read and written with the service
+// account; the roles field of users can't be changed through PocketBase
+
+const roleSummary = (role) => ({
+  id: role.id,
+  name: role.name,
+  description: role.description || '',
+  permissions: role.permissions || []
+});
+
+// List roles and the permission catalogue (GET /api/admin/roles)
+app.get('/api/admin/roles', authenticateToken, authorize('roles:manage'), async (req, res) => {
+  try {
+    const pb = await getServiceClient();
+    const roles = await pb.collection('roles').getFullList({ sort: 'name' });
 
     res.json({
       success: true,
-      images: imagesWithUrls,
-      page: images.page,
-      perPage: images.perPage,
-      totalPages: images.totalPages,
-      totalItems: images.totalItems
+      roles: roles.map(roleSummary),
+      permissions: PERMISSIONS
     });
   } catch (error) {
-    console.error('Error obteniendo imágenes:', error);
-    res.status(500).json({ error: 'Error al obtener imágenes' });
+    console.error('Error obteniendo roles:', error);
+    res.status(500).json({ error: 'Error al obtener roles' });
   }
 });
 
-// Get single image (GET /api/admin/images/:imageId)
-app.get('/api/admin/images/:imageId', authenticateToken, requireAdmin, async (req, res) => {
+// Get a user's roles and effective permissions (GET /api/admin/users/:userId/roles)
+app.get('/api/admin/users/:userId/roles', authenticateToken, authorize('roles:manage'), async (req, res) => {
   try {
-    const { imageId } = req.params;
-    const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${port}`;
-    
-    const image = await pb.collection('images').getOne(imageId);
+    const pb = await getServiceClient();
+    const user = await pb.collection('users').getOne(req.params.userId, withRoles);
 
     res.json({
       success: true,
-      image: {
-        id: image.id,
-        alias: image.alias,
-        image: image.image,
-        creator_id: image.creator_id,
-        created: image.created,
-        updated: image.updated,
-        imageUrl: image.image 
-          ? `${baseUrl}/api/admin/images/${image.id}/file`
-          : null
-      }
+      user: { id: user.id, ...resolveAccess(user) }
     });
   } catch (error) {
-    console.error('Error obteniendo imagen:', error);
+    console.error('Error obteniendo roles del usuario:', error);
     if (error.status === 404) {
-      return res.status(404).json({ error: 'Imagen no encontrada' });
+      return res.status(404).json({ error: 'Usuario no encontrado' });
     }
-    res.status(500).json({ error: 'Error al obtener imagen' });
+    res.status(500).json({ error: 'Error al obtener roles del usuario' });
   }
 });
 
-// Get image file (GET /api/admin/images/:imageId/file)
-// Note: This endpoint is public to allow images to be displayed via <img> tags
-// The image IDs are unique and hard to guess, providing security through obscurity
-// This is consistent with the avatar endpoint pattern
-app.get('/api/admin/images/:imageId/file', async (req, res) => {
+// Assign roles to a user (PUT /api/admin/users/:userId/roles)
+// Body: { "roles": ["moderator"] }. An empty list leaves the user with the
+// default role. Takes effect on the user's next request
+app.put('/api/admin/users/:userId/roles', authenticateToken, authorize('roles:manage'), async (req, res) => {
   try {
-    const { imageId } = req.params;
-    const { size = 'medium' } = req.query;
-
-    const cacheKey = `image-${imageId}-${size}`;
-    if (imageCache.has(cacheKey)) {
-      const cached = imageCache.get(cacheKey);
-      res.set({
-        'Content-Type': 'image/webp',
-        'Content-Length': cached.length,
-        'Cache-Control': 'public, max-age=86400',
-        'X-Cache': 'HIT'
-      });
-      return res.send(cached);
+    const { userId } = req.params;
+    const names = req.body.roles;
+
+    if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+      return res.status(400).json({ error: 'roles debe ser una lista de nombres de rol' });
     }
 
-    const image = await pb.collection('images').getOne(imageId, {
-      fields: 'id,image,collectionId'
-    });
+    const pb = await getServiceClient();
+    const wanted = [...new Set(names)];
+    const roles = wanted.length
+      ? await pb.collection('roles').getFullList({
+        filter: wanted.map(name => `name = ${filterValue(name)}`).join(' || ')
+      })
+      : [];
 
-    if (!image.image) {
-      return res.status(404).json({ error: 'Archivo de imagen no encontrado' });
+    const unknown = wanted.filter(name => !roles.some(role => role.name === name));
+    if (unknown.length) {
+      return res.status(400).json({ error: 'Roles desconocidos', code: 'unknown_roles', roles: unknown });
     }
 
-    const baseUrl = process.env.POCKETBASE_URL || 'http://localhost:8090';
-    const imageUrl = `${baseUrl}/api/files/${image.collectionId}/${image.id}/${image.image}`;
-    
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error('No se pudo obtener la imagen de PocketBase');
+    // Nadie puede quitarse a sí mismo la gestión de roles
+    if (userId === req.user?.id) {
+      const access = resolveAccess({ ...req.user, expand: { roles } });
+      if (!hasPermission(access.permissions, 'roles:manage')) {
+        return res.status(400).json({
+          error: 'No puedes quitarte el permiso de gestionar roles',
+          code: 'self_lockout'
+        });
+      }
     }
 
-    const imageBuffer = await response.arrayBuffer();
-    let processedImage = Buffer.from(imageBuffer);
+    const updatedUser = await pb.collection('users').update(userId, {
+      roles: roles.map(role => role.id)
+    }, withRoles);
 
-    const sizes = {
-      small: 100,
-      medium: 300,
-      large: 600,
-      original: null
-    };
+    res.json({
+      success: true,
+      message: 'Roles actualizados exitosamente',
+      user: { id: updatedUser.id, ...resolveAccess(updatedUser) }
+    });
+  } catch (error) {
+    console.error('Error asignando roles:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    res.status(500).json({ error: 'Error al asignar roles' });
+  }
+});
 
-    const targetSize = sizes[size] || sizes.medium;
+// =====================================
+// API KEYS
+// =====================================
 
-    if (targetSize) {
-      const sharpInstance = sharp(processedImage);
-      processedImage = await sharpInstance
-        .resize(targetSize, targetSize, {
-          fit: 'inside',
-          withoutEnlargement: true
-        })
-        .webp({ quality: 80 })
-        .toBuffer();
-    }
+// Keys for service-to-service access (X-API-Key header). They are managed from
+// a user session, never with another key, and can only be granted permissions
+// their creator has. Stored with the service account; the api_keys collection
+// is closed to everyone else
+
+const apiKeySummary = (key) => ({
+  id: key.id,
+  name: key.name,
+  prefix: apiKeyPrefix(key.id),
+  permissions: key.permissions || [],
+  expires: key.expires || null,
+  lastUsed: key.lastUsed || null,
+  createdBy: key.createdBy,
+  created: key.created
+});
 
-    imageCache.set(cacheKey, processedImage);
+// List API keys (GET /api/admin/api-keys)
+app.get('/api/admin/api-keys', authenticateToken, requireSession, authorize('api-keys:manage'), async (req, res) => {
+  try {
+    const pb = await getServiceClient();
+    const keys = await pb.collection('api_keys').getFullList({ sort: '-created' });
 
-    res.set({
-      'Content-Type': 'image/webp',
-      'Content-Length': processedImage.length,
-      'Cache-Control': 'public, max-age=86400',
-      'X-Cache': 'MISS'
+    res.json({
+      success: true,
+      apiKeys: keys.map(apiKeySummary),
+      permissions: PERMISSIONS
     });
-    res.send(processedImage);
-
   } catch (error) {
-    console.error('Error obteniendo archivo de imagen:', error);
-    
-    if (error.status === 404) {
-      return res.status(404).json({ error: 'Imagen no encontrada' });
-    }
-    
-    res.status(500).json({ 
-      error: 'Error interno del servidor',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    console.error('Error obteniendo API keys:', error);
+    res.status(500).json({ error: 'Error al obtener API keys' });
   }
 });
 
-// Update image (PUT /api/admin/images/:imageId)
-app.put('/api/admin/images/:imageId', authenticateToken, requireAdmin, upload.single('image'), async (req, res) => {
+// Create API key (POST /api/admin/api-keys)
+// Body: { "name": "...", "permissions": ["avatars:manage"], "expires": "2026-01-01" }
+// The full key is only returned here
+app.post('/api/admin/api-keys', authenticateToken, requireSession, authorize('api-keys:manage'), async (req, res) => {
   try {
-    const { imageId } = req.params;
-    const { alias } = req.body;
-
-    // Verify image exists (throws 404 if not found)
-    await pb.collection('images').getOne(imageId);
+    const data = parseApiKeyInput(req.body, { grantorPermissions: req.access.permissions });
+    const { secret, hash } = createApiKeySecret();
+
+    const pb = await getServiceClient();
+    const key = await pb.collection('api_keys').create({
+      ...data,
+      hash,
+      createdBy: req.user.id
+    });
 
-    const formData = new FormData();
-    
-    if (alias) {
-      formData.append('alias', alias);
+    res.status(201).json({
+      success: true,
+      message: 'API key creada exitosamente. Guárdala ahora: no se volverá a mostrar',
+      apiKey: apiKeySummary(key),
+      key: formatApiKey(key.id, secret)
+    });
+  } catch (error) {
+    console.error('Error creando API key:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
     }
+    res.status(500).json({ error: 'Error al crear API key' });
+  }
+});
 
-    if (req.file) {
-      // Optimize and convert to WEBP
-      const optimizedImage = await sharp(req.file.buffer)
-        .resize(800, 800, {
-          fit: 'inside',
-          withoutEnlargement: true
-        })
-        .webp({ 
-          quality: 80,
-          effort: 6
-        })
-        .toBuffer();
+// Get API key (GET /api/admin/api-keys/:keyId)
+app.get('/api/admin/api-keys/:keyId', authenticateToken, requireSession, authorize('api-keys:manage'), async (req, res) => {
+  try {
+    const pb = await getServiceClient();
+    const key = await pb.collection('api_keys').getOne(req.params.keyId);
 
-      const blob = new Blob([optimizedImage], { type: 'image/webp' });
-      formData.append('image', blob, `image-${Date.now()}.webp`);
-      
-      // Clear cache for this image
-      clearCacheByPrefix(`image-${imageId}`);
+    res.json({
+      success: true,
+      apiKey: apiKeySummary(key)
+    });
+  } catch (error) {
+    console.error('Error obteniendo API key:', error);
+    if (error.status === 404) {
+      return res.status(404).json({ error: 'API key no encontrada' });
     }
+    res.status(500).json({ error: 'Error al obtener API key' });
+  }
+});
+
+// Update API key name, permissions or expiry (PUT /api/admin/api-keys/:keyId)
+app.put('/api/admin/api-keys/:keyId', authenticateToken, requireSession, authorize('api-keys:manage'), async (req, res) => {
+  try {
+    const data = parseApiKeyInput(req.body, {
+      grantorPermissions: req.access.permissions,
+      partial: true
+    });
 
-    const updatedImage = await pb.collection('images').update(imageId, formData);
+    const pb = await getServiceClient();
+    const key = await pb.collection('api_keys').update(req.params.keyId, data);
 
     res.json({
       success: true,
-      message: 'Imagen actualizada exitosamente',
-      image: {
-        id: updatedImage.id,
-        alias: updatedImage.alias,
-        image: updatedImage.image,
-        creator_id: updatedImage.creator_id,
-        updated: updatedImage.updated
-      }
+      message: 'API key actualizada exitosamente',
+      apiKey: apiKeySummary(key)
     });
   } catch (error) {
-    console.error('Error actualizando imagen:', error);
+    console.error('Error actualizando API key:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     if (error.status === 404) {
-      return res.status(404).json({ error: 'Imagen no encontrada' });
+      return res.status(404).json({ error: 'API key no encontrada' });
     }
-    res.status(500).json({ 
-      error: 'Error al actualizar imagen',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    res.status(500).json({ error: 'Error al actualizar API key' });
   }
 });
 
-// Delete image (DELETE /api/admin/images/:imageId)
-app.delete('/api/admin/images/:imageId', authenticateToken, requireAdmin, async (req, res) => {
+// Revoke API key (DELETE /api/admin/api-keys/:keyId)
+app.delete('/api/admin/api-keys/:keyId', authenticateToken, requireSession, authorize('api-keys:manage'), async (req, res) => {
   try {
-    const { imageId } = req.params;
-
-    // Delete from PocketBase (will throw 404 if not found)
-    await pb.collection('images').delete(imageId);
-
-    // Clear cache for this image
-    clearCacheByPrefix(`image-${imageId}`);
+    const pb = await getServiceClient();
+    await pb.collection('api_keys').delete(req.params.keyId);
 
     res.json({
       success: true,
-      message: 'Imagen eliminada exitosamente'
+      message: 'API key revocada exitosamente'
     });
   } catch (error) {
-    console.error('Error eliminando imagen:', error);
+    console.error('Error revocando API key:', error);
     if (error.status === 404) {
-      return res.status(404).json({ error: 'Imagen no encontrada' });
+      return res.status(404).json({ error: 'API key no encontrada' });
     }
-    res.status(500).json({ error: 'Error al eliminar imagen' });
+    res.status(500).json({ error: 'Error al revocar API key' });
   }
 });
 
 // Endpoint de salud
 app.get('/health', async (req, res) => {
   try {
-    await pb.health.check();
+    await createPocketBaseClient(pocketbaseUrl).health.check();
     res.json({ 
       status: 'OK', 
       timestamp: new Date().toISOString(),
@@ -752,6 +3036,62 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Errores de multer y del fileFilter, que ocurren antes de llegar al handler
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return res.status(status).json({
+      error: error.code === 'LIMIT_FILE_SIZE'
+        ? 'La imagen supera el tamaño máximo permitido'
+        : 'Error al procesar el archivo subido',
+      code: error.code.toLowerCase()
+    });
+  }
+
+  if (isImageValidationError(error)) {
+    return sendImageValidationError(res, error);
+  }
+
+  // Límites de tamaño de la importación en lote (createImportStorage)
+  if (error.status === 413) {
+    return res.status(413).json({ error: error.message, code: error.code });
+  }
+
+  if (error.status === 429) {
+    return sendRateLimitError(res, error);
+  }
+
+  next(error);
+});
+
+// Transporte SMTP y enlaces de los correos de PocketBase (ver lib/pocketbase-mail.js)
+const mailSettings = mailSettingsFromEnv(process.env, { appUrl });
+
+if (mailSettings) {
+  getServiceClient()
+    .then(pb => configurePocketBaseMail(pb, mailSettings))
+    .then(() => console.log(`📧 SMTP configurado en PocketBase (${mailSettings.smtp.host}:${mailSettings.smtp.port})`))
+    .catch(error => console.error('Error configurando SMTP en PocketBase:', error));
+}
+
+// Roles por defecto (viewer, image-editor, moderator, admin) que falten en PocketBase
+if (process.env.POCKETBASE_SERVICE_EMAIL) {
+  getServiceClient()
+    .then(pb => ensureDefaultRoles(pb))
+    .then(created => created.length && console.log(`👥 Roles creados en PocketBase: ${created.join(', ')}`))
+    .catch(error => console.error('Error creando los roles por defecto:', error));
+}
+
+// Purga periódica de la papelera (ver PAPELERA), con la cuenta de servicio
+if (process.env.POCKETBASE_SERVICE_EMAIL) {
+  const runTrashPurge = () => purgeExpiredTrash()
+    .then(({ images, avatars }) => (images || avatars) && console.log(`🗑️ Papelera purgada: ${images} imagen(es), ${avatars} avatar(es)`))
+    .catch(error => console.error('Error purgando la papelera:', error));
+
+  runTrashPurge();
+  setInterval(runTrashPurge, trashPurgeInterval).unref();
+}
+
 app.listen(port, '0.0.0.0', () => {
   console.log(`🚀 Servidor ejecutándose en http://localhost:${port}`);
 });
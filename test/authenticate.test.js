@@ -0,0 +1,139 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import express from 'express';
+import { createServiceClient } from '../lib/pocketbase-clients.js';
+import { signAccessToken } from '../lib/auth-tokens.js';
+import { createAuthenticateToken } from '../lib/authenticate.js';
+
+const SECRET = 'test-secret';
+const ROUNDS = 10;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const users = {
+  alice: { id: 'alice', email: 'alice@example.com', pbToken: 'pb-token-alice', refreshDelay: 30 },
+  bob: { id: 'bob', email: 'bob@example.com', pbToken: 'pb-token-bob', refreshDelay: 5 }
+};
+
+const userByToken = (token) => Object.values(users).find(user => user.pbToken === token);
+
+const json = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// PocketBase simulado: una sesión por usuario (sess-<id>), auth-refresh según
+// el token recibido, más lento para alice que para bob, y una colección en la
+// que se anota con qué token llega cada lectura
+const seenTokens = [];
+
+const pocketbase = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const token = req.headers.authorization || '';
+
+  const session = url.pathname.match(/^\/api\/collections\/sessions\/records\/sess-(\w+)$/);
+  if (session && users[session[1]]) {
+    const user = users[session[1]];
+    return json(res, 200, {
+      id: `sess-${user.id}`,
+      user: user.id,
+      pbToken: user.pbToken,
+      revoked: false,
+      expires: new Date(Date.now() + 60 * 60 * 1000).toISOString().replace('T', ' ')
+    });
+  }
+
+  if (url.pathname === '/api/collections/users/auth-refresh') {
+    const user = userByToken(token);
+    if (!user) return json(res, 401, { code: 401, message: 'Unauthorized', data: {} });
+
+    await delay(user.refreshDelay);
+    return json(res, 200, {
+      token: user.pbToken,
+      record: { id: user.id, email: user.email, collectionName: 'users', expand: { roles: [] } }
+    });
+  }
+
+  if (url.pathname === '/api/collections/notes/records') {
+    seenTokens.push({ request: url.searchParams.get('filter'), token });
+    return json(res, 200, { page: 1, perPage: 30, totalItems: 0, totalPages: 0, items: [] });
+  }
+
+  json(res, 404, { code: 404, message: 'Not found', data: {} });
+});
+
+let app;
+let server;
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolve => pocketbase.listen(0, resolve));
+  const pocketbaseUrl = `http://127.0.0.1:${pocketbase.address().port}`;
+  const serviceClient = createServiceClient(pocketbaseUrl);
+
+  const authenticateToken = createAuthenticateToken({
+    pocketbaseUrl,
+    getServiceClient: () => serviceClient.get(),
+    authTokenSecret: SECRET
+  });
+
+  // El handler espera al revés que auth-refresh (bob más que alice) para que
+  // las peticiones de los dos usuarios se crucen en todas sus fases
+  app = express();
+  app.get('/whoami', authenticateToken, async (req, res) => {
+    try {
+      const seenBefore = { token: req.pb.authStore.token, user: req.user.id };
+      await delay(req.user.id === 'alice' ? 5 : 30);
+      await req.pb.collection('notes').getList(1, 30, { filter: req.query.request });
+
+      res.json({
+        before: seenBefore,
+        after: { token: req.pb.authStore.token, user: req.user.id, model: req.pb.authStore.model?.id }
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await new Promise(resolve => pocketbase.close(resolve));
+});
+
+const accessToken = (user) => signAccessToken({ sub: user.id, sid: `sess-${user.id}` }, SECRET, 60);
+
+test('las peticiones concurrentes de dos usuarios no comparten el cliente de PocketBase', async () => {
+  const requests = [];
+
+  for (let i = 0; i < ROUNDS; i++) {
+    for (const user of [users.alice, users.bob]) {
+      const request = `${user.id}-${i}`;
+      requests.push(
+        fetch(`${baseUrl}/whoami?request=${request}`, {
+          headers: { Authorization: `Bearer ${accessToken(user)}` }
+        }).then(async res => ({ user, request, status: res.status, body: await res.json() }))
+      );
+    }
+  }
+
+  const results = await Promise.all(requests);
+
+  for (const { user, request, status, body } of results) {
+    assert.equal(status, 200, request);
+    assert.deepEqual(body.before, { token: user.pbToken, user: user.id }, request);
+    assert.deepEqual(body.after, { token: user.pbToken, user: user.id, model: user.id }, request);
+  }
+
+  // Las lecturas de cada handler llegan a PocketBase con el token de su usuario
+  assert.equal(seenTokens.length, ROUNDS * 2);
+  for (const { request, token } of seenTokens) {
+    assert.equal(userByToken(token)?.id, request.split('-')[0], request);
+  }
+});
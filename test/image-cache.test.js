@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createImageCache, createDiskCacheBackend } from '../lib/image-cache.js';
+
+const tempDir = async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-cache-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const entry = (size, expiresAt = Date.now() + 60_000) => ({
+  data: Buffer.alloc(size),
+  contentType: 'image/webp',
+  expiresAt
+});
+
+test('una variante renderizada antes de borrar su prefijo no se guarda', async () => {
+  const cache = createImageCache();
+
+  // Petición A: marca, lee el registro viejo y renderiza...
+  const since = cache.mark();
+
+  // ...mientras otra petición sube un avatar nuevo y borra las variantes
+  await cache.deleteByPrefix('user1-');
+
+  await cache.set('user1-300x300-cover-webp', Buffer.from('viejo'), { since });
+  assert.equal(await cache.get('user1-300x300-cover-webp'), null);
+  assert.equal(cache.stats().stale, 1);
+});
+
+test('el borrado de otro prefijo no afecta a la variante', async () => {
+  const cache = createImageCache();
+
+  const since = cache.mark();
+  await cache.deleteByPrefix('user2-');
+
+  await cache.set('user1-300x300-cover-webp', Buffer.from('ok'), { since });
+  assert.equal((await cache.get('user1-300x300-cover-webp')).data.toString(), 'ok');
+});
+
+test('una marca tomada después del borrado guarda la variante', async () => {
+  const cache = createImageCache();
+
+  await cache.deleteByPrefix('user1-');
+  const since = cache.mark();
+
+  await cache.set('user1-300x300-cover-webp', Buffer.from('nuevo'), { since });
+  assert.equal((await cache.get('user1-300x300-cover-webp')).data.toString(), 'nuevo');
+});
+
+test('las peticiones posteriores a un borrado no se unen al renderizado en curso', async () => {
+  const cache = createImageCache();
+  let finishOld;
+
+  const old = cache.coalesce('user1-300x300-cover-webp', () => new Promise(resolve => {
+    finishOld = resolve;
+  }));
+  await cache.deleteByPrefix('user1-');
+
+  const fresh = cache.coalesce('user1-300x300-cover-webp', async () => 'nuevo');
+  finishOld('viejo');
+
+  assert.equal(await old, 'viejo');
+  assert.equal(await fresh, 'nuevo');
+
+  assert.equal(cache.stats().coalesced, 0);
+});
+
+test('la caché en disco desaloja la entrada menos usada al superar su presupuesto', async (t) => {
+  const dir = await tempDir(t);
+  const backend = createDiskCacheBackend(dir, { maxBytes: 2500 });
+
+  await backend.set('a', entry(1000));
+  await backend.set('b', entry(1000));
+  await backend.get('a');
+  await backend.set('c', entry(1000));
+
+  assert.equal(await backend.get('b'), null);
+  assert.equal((await backend.get('a')).data.length, 1000);
+  assert.equal((await backend.get('c')).data.length, 1000);
+  assert.equal(backend.stats().evictions, 1);
+  assert.ok(backend.stats().bytes <= 2500);
+  assert.equal((await fs.readdir(dir)).length, 4);
+
+  // Al reabrir el directorio, el índice se reconstruye con lo que hay en él,
+  // de la entrada más antigua a la más reciente
+  const past = new Date(Date.now() - 60_000);
+  await fs.utimes(path.join(dir, 'a'), past, past);
+  const reopened = createDiskCacheBackend(dir, { maxBytes: 1500 });
+  assert.equal((await reopened.get('c')).data.length, 1000);
+  assert.equal(reopened.stats().entries, 1);
+  assert.equal((await fs.readdir(dir)).length, 2);
+});
+
+test('el barrido periódico de la caché en disco borra las entradas caducadas', async (t) => {
+  const dir = await tempDir(t);
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const backend = createDiskCacheBackend(dir, { sweepInterval: 1000 });
+
+  await backend.set('viejo', entry(100, Date.now() - 1));
+  await backend.set('vigente', entry(100));
+  t.mock.timers.tick(1000);
+
+  // El barrido es asíncrono: esperar a que termine
+  for (let i = 0; i < 100 && backend.stats().entries > 1; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['vigente', 'vigente.json']);
+  assert.equal(backend.stats().expirations, 1);
+  assert.equal(backend.stats().entries, 1);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { zipSync } from 'fflate';
+import { createImportStorage, readZipArchive } from '../lib/image-import.js';
+
+const storeFile = (storage, req, fieldname, size) => new Promise((resolve, reject) => {
+  const file = { fieldname, originalname: `${fieldname}.bin`, stream: Readable.from([Buffer.alloc(size)]) };
+  storage._handleFile(req, file, (error, info) => (error ? reject(error) : resolve(info)));
+});
+
+test('el almacenamiento de la importación limita cada campo y el total de la petición', async () => {
+  const storage = createImportStorage({ fieldLimits: { images: 100, archive: 1000 }, maxTotalBytes: 250 });
+  const req = {};
+
+  assert.equal((await storeFile(storage, req, 'images', 100)).size, 100);
+  await assert.rejects(storeFile(storage, req, 'images', 101), { status: 413, code: 'file_too_large' });
+  await assert.rejects(storeFile(storage, req, 'archive', 200), { status: 413, code: 'import_too_large' });
+
+  // Los campos no previstos no admiten datos
+  await assert.rejects(storeFile(storage, {}, 'other', 1), { code: 'file_too_large' });
+});
+
+test('readZipArchive rechaza un ZIP que descomprimido supera el total', () => {
+  const zip = Buffer.from(zipSync({ 'a.jpg': new Uint8Array(600), 'b.jpg': new Uint8Array(600) }));
+
+  assert.equal(readZipArchive(zip, { maxFiles: 10, maxFileSize: 1000 }).files.length, 2);
+  assert.throws(() => readZipArchive(zip, { maxFiles: 10, maxFileSize: 1000, maxTotalSize: 1000 }), {
+    status: 413,
+    code: 'import_too_large'
+  });
+});
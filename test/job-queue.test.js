@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue } from '../lib/job-queue.js';
+
+// Trabajo que no termina hasta que se llama a finish()
+const blockingJob = () => {
+  let finish;
+  const done = new Promise(resolve => {
+    finish = resolve;
+  });
+  return { run: () => done, finish };
+};
+
+const settled = () => new Promise(resolve => setImmediate(resolve));
+
+test('la cola rechaza los trabajos que superan los bytes retenidos', async () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueuedBytes: 100 });
+  const first = blockingJob();
+
+  queue.enqueue('image.import', first.run, { bytes: 60 });
+  queue.enqueue('image.import', async () => 'ok', { bytes: 40 });
+
+  assert.throws(() => queue.enqueue('image.import', async () => 'ok', { bytes: 1 }), {
+    status: 503,
+    code: 'queue_full'
+  });
+  assert.equal(queue.stats().queuedBytes, 100);
+
+  // Al terminar, los trabajos liberan sus bytes
+  first.finish('ok');
+  await settled();
+  assert.equal(queue.stats().queuedBytes, 0);
+  queue.enqueue('image.import', async () => 'ok', { bytes: 100 });
+});
+
+test('con la cola vacía se acepta un trabajo mayor que el límite', async () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueuedBytes: 100 });
+  const big = blockingJob();
+
+  const job = queue.enqueue('image.import', big.run, { bytes: 500 });
+  assert.throws(() => queue.enqueue('avatar.upload', async () => 'ok', { bytes: 1 }), { code: 'queue_full' });
+
+  big.finish('ok');
+  await settled();
+  assert.equal(queue.get(job.id).status, 'completed');
+});
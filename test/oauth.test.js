@@ -0,0 +1,280 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import crypto from 'node:crypto';
+import express from 'express';
+import { createOAuthHandlers, downloadImage, OAUTH_STATE_COOKIE } from '../lib/oauth.js';
+
+const SECRET = 'test-secret';
+const APP_URL = 'http://app.test';
+const AVATAR_MAX_BYTES = 1024;
+
+const listen = (server) => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const close = (server) => new Promise(resolve => {
+  server.closeAllConnections();
+  server.close(resolve);
+});
+
+const json = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString() || '{}');
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// Proveedor OIDC simulado: /authorize vuelve al redirect_uri con un código
+// para la cuenta de `profile`; /token lo canjea comprobando el PKCE (S256);
+// /avatar/* sirve fotos de perfil de distintos tamaños
+let profile;
+const codes = new Map();
+
+const oidc = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/authorize') {
+    const code = crypto.randomUUID();
+    codes.set(code, { challenge: url.searchParams.get('code_challenge'), profile });
+
+    const redirect = new URL(url.searchParams.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', url.searchParams.get('state'));
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  }
+
+  if (url.pathname === '/token' && req.method === 'POST') {
+    const { code, codeVerifier } = await readJson(req);
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    const challenge = base64url(crypto.createHash('sha256').update(codeVerifier || '').digest());
+    if (!grant || grant.challenge !== challenge) {
+      return json(res, 400, { error: 'invalid_grant' });
+    }
+    return json(res, 200, grant.profile);
+  }
+
+  if (url.pathname === '/avatar/small') {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    return res.end(Buffer.alloc(100));
+  }
+
+  // Anuncia un tamaño mayor que el límite y no envía el cuerpo: solo se
+  // rechaza a tiempo si se mira Content-Length antes de leer
+  if (url.pathname === '/avatar/declared-large') {
+    res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': String(10 * 1024 * 1024) });
+    return res.flushHeaders();
+  }
+
+  // Sin Content-Length y sin final: solo se corta contando lo recibido
+  if (url.pathname === '/avatar/endless') {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    const timer = setInterval(() => res.write(Buffer.alloc(256)), 5);
+    return res.on('close', () => clearInterval(timer));
+  }
+
+  json(res, 404, {});
+});
+
+// PocketBase simulado: proveedor `oidc` con state y code_verifier nuevos en
+// cada consulta, y auth-with-oauth2 que canjea el código con el proveedor y
+// crea el usuario o lo enlaza con el existente del mismo email
+const users = new Map();
+let oidcUrl;
+
+const pocketbase = http.createServer(async (req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/api/collections/users/auth-methods') {
+    const state = crypto.randomUUID();
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    return json(res, 200, {
+      usernamePassword: false,
+      emailPassword: true,
+      authProviders: [{
+        name: 'oidc',
+        state,
+        codeVerifier,
+        codeChallenge,
+        codeChallengeMethod: 'S256',
+        authUrl: `${oidcUrl}/authorize?client_id=avatars&state=${state}&code_challenge=${codeChallenge}&code_challenge_method=S256&redirect_uri=`
+      }]
+    });
+  }
+
+  if (url.pathname === '/api/collections/users/auth-with-oauth2' && req.method === 'POST') {
+    const { provider, code, codeVerifier, createData } = await readJson(req);
+    const exchange = await fetch(`${oidcUrl}/token`, {
+      method: 'POST',
+      body: JSON.stringify({ code, codeVerifier })
+    });
+    if (provider !== 'oidc' || !exchange.ok) {
+      return json(res, 400, { code: 400, message: 'Failed to authenticate.', data: {} });
+    }
+
+    const account = await exchange.json();
+    let record = [...users.values()].find(user => user.email === account.email);
+    const isNew = !record;
+
+    if (isNew) {
+      record = { id: `user${users.size + 1}`, collectionName: 'users', email: account.email, name: '', ...createData };
+      users.set(record.id, record);
+    }
+
+    return json(res, 200, {
+      token: `pb-token-${record.id}`,
+      record,
+      meta: { isNew, email: account.email, name: account.name, avatarUrl: account.avatarUrl }
+    });
+  }
+
+  const match = url.pathname.match(/^\/api\/collections\/users\/records\/(\w+)$/);
+  if (match && req.method === 'PATCH' && users.has(match[1])) {
+    const record = Object.assign(users.get(match[1]), await readJson(req));
+    return json(res, 200, record);
+  }
+
+  json(res, 404, { code: 404, message: 'Not found', data: {} });
+});
+
+let server;
+let apiUrl;
+const sessions = [];
+
+before(async () => {
+  oidcUrl = await listen(oidc);
+  const pocketbaseUrl = await listen(pocketbase);
+
+  const app = express();
+  server = http.createServer(app);
+  apiUrl = await listen(server);
+
+  const oauth = createOAuthHandlers({
+    pocketbaseUrl,
+    authTokenSecret: SECRET,
+    apiUrl,
+    appUrl: APP_URL,
+    createSession: async (req, pbToken, record) => {
+      sessions.push({ pbToken, record });
+      return { token: `access-${record.id}`, refreshToken: `refresh-${record.id}`, expiresIn: 900 };
+    },
+    importAvatar: async (pb, userId, imageUrl) => {
+      const buffer = await downloadImage(imageUrl, { maxBytes: AVATAR_MAX_BYTES });
+      return pb.collection('users').update(userId, { avatar: `avatar-${buffer.length}.webp` });
+    }
+  });
+
+  app.get('/api/auth/oauth2/:provider/start', oauth.start);
+  app.get('/api/auth/oauth2/callback', oauth.callback);
+});
+
+after(async () => {
+  await close(server);
+  await close(pocketbase);
+  await close(oidc);
+});
+
+const get = (url, headers = {}) => fetch(url, { redirect: 'manual', headers });
+
+// Recorre el flujo como el navegador: inicio, proveedor y callback con la
+// cookie de estado. Devuelve la redirección final al frontend
+const login = async () => {
+  const start = await get(`${apiUrl}/api/auth/oauth2/oidc/start`);
+  assert.equal(start.status, 302);
+
+  const authorizeUrl = new URL(start.headers.get('location'));
+  assert.equal(authorizeUrl.origin, oidcUrl);
+  assert.equal(authorizeUrl.searchParams.get('redirect_uri'), `${apiUrl}/api/auth/oauth2/callback`);
+
+  const cookie = start.headers.getSetCookie().find(value => value.startsWith(`${OAUTH_STATE_COOKIE}=`));
+  assert.ok(cookie, 'la cookie de estado se envía');
+  assert.match(cookie, /HttpOnly/);
+
+  const provider = await get(authorizeUrl);
+  const callback = await get(provider.headers.get('location'), { Cookie: cookie.split(';')[0] });
+  assert.equal(callback.status, 302);
+  return new URL(callback.headers.get('location'));
+};
+
+test('el primer login crea el usuario con el nombre y la foto del proveedor', async () => {
+  profile = { email: 'ana@example.com', name: 'Ana', avatarUrl: `${oidcUrl}/avatar/small` };
+
+  const redirect = await login();
+  assert.equal(`${redirect.origin}${redirect.pathname}`, `${APP_URL}/oauth-callback`);
+
+  const fragment = new URLSearchParams(redirect.hash.slice(1));
+  const { record, pbToken } = sessions.at(-1);
+  assert.equal(fragment.get('token'), `access-${record.id}`);
+  assert.equal(fragment.get('refreshToken'), `refresh-${record.id}`);
+  assert.equal(pbToken, `pb-token-${record.id}`);
+
+  assert.equal(record.name, 'Ana');
+  assert.equal(record.avatar, 'avatar-100.webp');
+  assert.equal(record.emailVisibility, false);
+});
+
+test('un login con el email de una cuenta existente la enlaza sin cambiarla', async () => {
+  users.set('legacy', { id: 'legacy', collectionName: 'users', email: 'luis@example.com', name: 'Luis', avatar: 'propio.webp' });
+  profile = { email: 'luis@example.com', name: 'Luis García', avatarUrl: `${oidcUrl}/avatar/small` };
+
+  const redirect = await login();
+  assert.equal(redirect.pathname, '/oauth-callback');
+
+  const { record } = sessions.at(-1);
+  assert.equal(record.id, 'legacy');
+  assert.equal(record.name, 'Luis');
+  assert.equal(record.avatar, 'propio.webp');
+  assert.equal(users.size, 2);
+});
+
+test('el callback rechaza un state distinto, la falta de cookie y la cancelación', async () => {
+  const start = await get(`${apiUrl}/api/auth/oauth2/oidc/start`);
+  const cookie = start.headers.getSetCookie()[0].split(';')[0];
+  const callbackUrl = `${apiUrl}/api/auth/oauth2/callback`;
+  const sessionCount = sessions.length;
+
+  const tampered = await get(`${callbackUrl}?code=abc&state=otro`, { Cookie: cookie });
+  assert.equal(tampered.headers.get('location'), `${APP_URL}/?error=oauth_invalid_state`);
+
+  const noCookie = await get(`${callbackUrl}?code=abc&state=otro`);
+  assert.equal(noCookie.headers.get('location'), `${APP_URL}/?error=oauth_expired`);
+
+  const denied = await get(`${callbackUrl}?error=access_denied`, { Cookie: cookie });
+  assert.equal(denied.headers.get('location'), `${APP_URL}/?error=oauth_denied`);
+
+  assert.equal(sessions.length, sessionCount);
+});
+
+test('una foto de perfil mayor que el límite deja al usuario sin avatar', async () => {
+  profile = { email: 'eva@example.com', name: 'Eva', avatarUrl: `${oidcUrl}/avatar/endless` };
+
+  const redirect = await login();
+  assert.equal(redirect.pathname, '/oauth-callback');
+  assert.equal(sessions.at(-1).record.avatar, undefined);
+});
+
+test('downloadImage rechaza por Content-Length sin leer el cuerpo', async () => {
+  await assert.rejects(
+    downloadImage(`${oidcUrl}/avatar/declared-large`, { maxBytes: AVATAR_MAX_BYTES, timeout: 5000 }),
+    { status: 413, code: 'file_too_large' }
+  );
+});
+
+test('downloadImage corta la descarga al superar el límite', async () => {
+  await assert.rejects(
+    downloadImage(`${oidcUrl}/avatar/endless`, { maxBytes: AVATAR_MAX_BYTES, timeout: 5000 }),
+    { status: 413, code: 'file_too_large' }
+  );
+  assert.equal((await downloadImage(`${oidcUrl}/avatar/small`, { maxBytes: AVATAR_MAX_BYTES })).length, 100);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveAccess, hasPermission, DEFAULT_ROLE } from '../lib/permissions.js';
+
+test('sin roles, el antiguo campo admin da el rol admin como booleano o como texto', () => {
+  for (const admin of [true, 'true']) {
+    const access = resolveAccess({ admin });
+    assert.deepEqual(access.roles, ['admin'], String(admin));
+    assert.ok(hasPermission(access.permissions, 'users:list'), String(admin));
+  }
+
+  for (const admin of [false, 'false', '', undefined]) {
+    assert.deepEqual(resolveAccess({ admin }).roles, [DEFAULT_ROLE], String(admin));
+  }
+});
+
+test('los roles asignados prevalecen sobre el campo admin', () => {
+  const access = resolveAccess({
+    admin: 'true',
+    expand: { roles: [{ name: 'viewer', permissions: ['images:read'] }] }
+  });
+
+  assert.deepEqual(access, { roles: ['viewer'], permissions: ['images:read'] });
+});
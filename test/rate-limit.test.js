@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryRateLimitStore } from '../lib/rate-limit.js';
+
+test('el store deja de registrar intentos al alcanzar el límite', async () => {
+  const store = createMemoryRateLimitStore();
+
+  let result;
+  for (let i = 0; i < 100; i++) {
+    result = await store.hit('ip:1', 60_000, 6);
+  }
+
+  assert.equal(result.count, 6);
+  assert.equal((await store.peek('ip:1', 60_000)).count, 6);
+});
+
+test('sin límite el store cuenta todos los intentos de la ventana', async () => {
+  const store = createMemoryRateLimitStore();
+
+  for (let i = 0; i < 3; i++) {
+    await store.hit('login-failures:a@example.com', 60_000);
+  }
+
+  assert.equal((await store.peek('login-failures:a@example.com', 60_000)).count, 3);
+  await store.reset('login-failures:a@example.com');
+  assert.equal((await store.peek('login-failures:a@example.com', 60_000)).count, 0);
+});
+
+test('cada clave caduca con su propia ventana', async (t) => {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+  const store = createMemoryRateLimitStore({ sweepInterval: 1000 });
+
+  await store.hit('short', 2000);
+  await store.hit('long', 10_000);
+  t.mock.timers.tick(3000);
+
+  // Tras la ventana corta solo sigue la clave larga, aunque se consulte con
+  // una ventana mayor
+  assert.equal((await store.peek('short', 10_000)).count, 0);
+  assert.equal((await store.peek('long', 10_000)).count, 1);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { signUrl, verifySignedUrl } from '../lib/signed-urls.js';
+
+const SECRET = 'test-secret';
+const PATH = '/api/admin/images/abc/file';
+
+const signedQuery = (params, bind) => {
+  const expires = Math.floor(Date.now() / 1000) + 60;
+  const url = signUrl(PATH, { secret: SECRET, expires, params, bind });
+  return Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+};
+
+test('una firma con bind no admite parámetros de transformación añadidos', () => {
+  const query = signedQuery({ size: 'small' }, ['size']);
+  assert.equal(verifySignedUrl(PATH, query, SECRET), true);
+
+  for (const extra of [{ w: '2048' }, { h: '2048' }, { dpr: '3' }, { fit: 'fill' }, { format: 'png' }]) {
+    assert.throws(() => verifySignedUrl(PATH, { ...query, ...extra }, SECRET), { status: 403, code: 'invalid_signature' });
+  }
+
+  assert.throws(() => verifySignedUrl(PATH, { ...query, size: 'large' }, SECRET), { code: 'invalid_signature' });
+});
+
+test('una firma sin bind admite cualquier variante', () => {
+  const query = signedQuery({ v: 'abc' }, []);
+  assert.equal(verifySignedUrl(PATH, { ...query, w: '512', format: 'png' }, SECRET), true);
+});
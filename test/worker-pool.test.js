@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWorkerCount } from '../lib/worker-pool.js';
+
+const options = { fallback: 3, name: 'IMAGE_WORKERS' };
+
+test('parseWorkerCount usa el valor por defecto si la variable no tiene valor', () => {
+  assert.equal(parseWorkerCount(undefined, options), 3);
+  assert.equal(parseWorkerCount('', options), 3);
+});
+
+test('parseWorkerCount acepta enteros mayores o iguales que 0', () => {
+  assert.equal(parseWorkerCount('0', options), 0);
+  assert.equal(parseWorkerCount('4', options), 4);
+});
+
+test('parseWorkerCount rechaza los valores que no son un entero válido', () => {
+  for (const value of ['dos', '-1', '1.5', '2x']) {
+    assert.throws(() => parseWorkerCount(value, options), {
+      message: 'IMAGE_WORKERS debe ser un número entero mayor o igual que 0'
+    }, value);
+  }
+});